@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const run = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+    /*
+     * Exit once stdout is flushed, the ORM
+     * might keep the process alive.
+     */
+    process.stdout.write('', _ => process.exit(code));
+});
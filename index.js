@@ -7,6 +7,11 @@ module.exports.Manager = require('./lib/manager');
 
 module.exports.init = require('./lib/init');
 
+module.exports.DataManagerError = require('./lib/errors');
+
+module.exports.createRouter = require('./lib/http/router');
+
 module.exports.commands = {
-    dataSync: require('./lib/commands/data.sync')
+    dataSync: require('./lib/commands/data.sync'),
+    dataRetry: require('./lib/commands/data.retry')
 };
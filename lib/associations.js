@@ -0,0 +1,119 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * Collect association attributes from a Model
+ * definition.
+ *
+ * @param {Object} Model Waterline collection
+ * @returns {Object} Keyed by attribute, `{identity, collection}`
+ */
+function getAssociations(Model) {
+    const schema = (Model && (Model.definition || Model.attributes)) || {};
+    let associations = {};
+
+    Object.keys(schema).forEach(key => {
+        const definition = schema[key] || {};
+        if (definition.model) {
+            associations[key] = { identity: definition.model, collection: false };
+        } else if (definition.collection) {
+            associations[key] = { identity: definition.collection, collection: true };
+        }
+    });
+
+    return associations;
+}
+
+/**
+ * Find columns referencing a related record
+ * by one of its attributes, e.g. `owner.email`.
+ *
+ * @param {Object} associations Output of `getAssociations`
+ * @param {Object} record
+ * @returns {Array} List of `{column, attribute, field, identity, collection}`
+ */
+function getReferenceColumns(associations, record = {}) {
+    return Object.keys(record).reduce((out, column) => {
+        const index = column.indexOf('.');
+        if (index === -1) return out;
+
+        const attribute = column.slice(0, index);
+        const field = column.slice(index + 1);
+
+        if (!associations[attribute] || !field) return out;
+
+        out.push(Object.assign({ column, attribute, field }, associations[attribute]));
+        return out;
+    }, []);
+}
+
+/**
+ * Flatten populated associations so a record
+ * can be serialized to a flat format like CSV.
+ *
+ * With `mode` set to `id` associations are replaced
+ * by the related primary key. Collections become a
+ * list of ids joined by `separator`.
+ *
+ * With `mode` set to `dotted` each attribute of the
+ * related record gets its own column, e.g. `owner.email`.
+ *
+ * @param {Object} record
+ * @param {Object} options
+ * @param {String} [options.flatten=id] `id` or `dotted`
+ * @param {Array} [options.associations] Attributes to flatten.
+ *                If not given we flatten objects with a primary key.
+ * @param {String} [options.primaryKey=id]
+ * @param {String} [options.separator=,]
+ * @returns {Object}
+ */
+function flattenRecord(record = {}, options = {}) {
+    const mode = options.flatten || 'id';
+    const primaryKey = options.primaryKey || 'id';
+    const separator = options.separator || ',';
+    const associations = options.associations;
+
+    const toId = value => _isPlainObject(value) ? value[primaryKey] : value;
+    const isRecord = value => _isPlainObject(value) && value[primaryKey] !== undefined;
+
+    let out = {};
+
+    Object.keys(record).forEach(key => {
+        let value = record[key];
+
+        const isAssociation = associations ?
+            associations.includes(key) :
+            isRecord(value) || (Array.isArray(value) && value.length > 0 && value.every(isRecord));
+
+        if (!isAssociation || value === null || value === undefined) {
+            out[key] = value;
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            out[key] = value.map(toId).join(separator);
+            return;
+        }
+
+        if (mode === 'dotted' && _isPlainObject(value)) {
+            Object.keys(value).forEach(field => {
+                out[`${key}.${field}`] = value[field];
+            });
+            return;
+        }
+
+        out[key] = toId(value);
+    });
+
+    return out;
+}
+
+function _isPlainObject(value) {
+    return !!value && value.constructor === Object;
+}
+
+module.exports = {
+    getAssociations,
+    getReferenceColumns,
+    flattenRecord,
+};
@@ -0,0 +1,276 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const path = require('path');
+
+let counter = 0;
+
+/**
+ * Default audit log store. Runs are
+ * appended to a file, one JSON object
+ * per line.
+ *
+ * Runs are cached in memory. On each call we
+ * check the file size and only read lines
+ * appended since, e.g. by another process.
+ * Once we have 10% more than `maxRuns` runs
+ * the file is rewritten with the latest ones.
+ *
+ * A store is any object with async
+ * `add(run)`, `get(id)` and `list(filter)`
+ * methods.
+ */
+class FileAuditStore {
+    /**
+     * @param {String} filename
+     * @param {Object} [options={}]
+     * @param {Number} [options.maxRuns=10000] Runs to keep, `0` keeps all
+     */
+    constructor(filename, options = {}) {
+        this.filename = path.resolve(filename);
+        this.maxRuns = options.maxRuns === undefined ? 10000 : options.maxRuns;
+        this._queue = Promise.resolve();
+        this._reset();
+    }
+
+    add(run) {
+        return this._enqueue(_ => {
+            return this._load().then(_ => {
+                return fsx.ensureFile(this.filename);
+            }).then(_ => {
+                return fsx.appendFile(this.filename, JSON.stringify(run) + '\n');
+            }).then(_ => this._load()).then(_ => this._compact());
+        }).then(_ => run);
+    }
+
+    get(id) {
+        return this._enqueue(_ => this._load()).then(runs => runs.find(run => run.id === id));
+    }
+
+    /**
+     * List runs, most recent first.
+     * @param {Object} [filter={}] See `filterRuns`
+     * @returns {Promise<Array>}
+     */
+    list(filter = {}) {
+        return this._enqueue(_ => this._load()).then(runs => {
+            if (filter.checksum) runs = this._checksums.get(filter.checksum) || [];
+            return filterRuns(runs.slice().reverse(), filter);
+        });
+    }
+
+    /**
+     * Run `fn` after pending reads and writes
+     * so that the cache and the file agree.
+     */
+    _enqueue(fn) {
+        const task = this._queue.then(fn);
+        this._queue = task.catch(_ => {});
+        return task;
+    }
+
+    /**
+     * Read lines appended since the last read.
+     * If the file shrank, e.g. it was rotated,
+     * we read it all again.
+     * @returns {Promise<Array>} Cached runs
+     */
+    _load() {
+        return fsx.stat(this.filename).then(stat => {
+            if (stat.size < this._size) this._reset();
+            if (stat.size === this._size) return this._runs;
+            return this._readFrom(this._size, stat.size);
+        }, err => {
+            if (err.code !== 'ENOENT') return Promise.reject(err);
+            this._reset();
+            return this._runs;
+        });
+    }
+
+    _readFrom(start, end) {
+        return fsx.open(this.filename, 'r').then(fd => {
+            const buffer = Buffer.alloc(end - start);
+            return fsx.read(fd, buffer, 0, buffer.length, start).then(({ bytesRead }) => {
+                return buffer.slice(0, bytesRead);
+            }).finally(_ => fsx.close(fd));
+        }).then(buffer => {
+            /*
+             * Leave a partially written line
+             * for the next read.
+             */
+            const length = buffer.lastIndexOf(0x0a) + 1;
+
+            buffer.slice(0, length).toString('utf8').split('\n').filter(Boolean).forEach(line => {
+                try {
+                    this._index(JSON.parse(line));
+                } catch (e) {
+                    //Skip invalid lines
+                }
+            });
+
+            this._size = start + length;
+
+            return this._runs;
+        });
+    }
+
+    /**
+     * Rewrite the file keeping the
+     * last `maxRuns` runs.
+     * @returns {Promise}
+     */
+    _compact() {
+        if (!this.maxRuns || this._runs.length <= Math.floor(this.maxRuns * 1.1)) {
+            return Promise.resolve();
+        }
+
+        const runs = this._runs.slice(-this.maxRuns);
+        const content = runs.map(run => JSON.stringify(run) + '\n').join('');
+        const tmp = `${this.filename}.tmp`;
+
+        return fsx.writeFile(tmp, content).then(_ => fsx.rename(tmp, this.filename)).then(_ => {
+            this._reset();
+            runs.forEach(run => this._index(run));
+            this._size = Buffer.byteLength(content);
+        });
+    }
+
+    _reset() {
+        this._runs = [];
+        this._checksums = new Map();
+        this._size = 0;
+    }
+
+    _index(run) {
+        this._runs.push(run);
+        if (!run.checksum) return;
+        if (!this._checksums.has(run.checksum)) this._checksums.set(run.checksum, []);
+        this._checksums.get(run.checksum).push(run);
+    }
+}
+
+/**
+ * Audit store used when we don't have
+ * an `auditPath`, keeps the last
+ * `maxRuns` runs.
+ */
+class MemoryAuditStore {
+    /**
+     * @param {Object} [options={}]
+     * @param {Number} [options.maxRuns=10000] Runs to keep, `0` keeps all
+     */
+    constructor(options = {}) {
+        this.maxRuns = options.maxRuns === undefined ? 10000 : options.maxRuns;
+        this.runs = [];
+    }
+
+    add(run) {
+        this.runs.push(run);
+        if (this.maxRuns && this.runs.length > this.maxRuns) this.runs.shift();
+        return Promise.resolve(run);
+    }
+
+    get(id) {
+        return Promise.resolve(this.runs.find(run => run.id === id));
+    }
+
+    list(filter = {}) {
+        return Promise.resolve(filterRuns(this.runs.slice().reverse(), filter));
+    }
+}
+
+/**
+ * Filter a list of runs.
+ * @param {Array} runs
+ * @param {Object} filter
+ * @param {String} filter.entity
+ * @param {String} filter.origin
+ * @param {String} filter.status
+ * @param {String} filter.checksum
+ * @param {Date|String} filter.since Runs started after this date
+ * @param {Number} filter.limit
+ * @returns {Array}
+ */
+function filterRuns(runs = [], filter = {}) {
+    const since = filter.since ? new Date(filter.since) : undefined;
+
+    runs = runs.filter(run => {
+        if (filter.entity && run.entity !== filter.entity) return false;
+        if (filter.origin && run.origin !== filter.origin) return false;
+        if (filter.status && run.status !== filter.status) return false;
+        if (filter.checksum && run.checksum !== filter.checksum) return false;
+        if (since && new Date(run.startedAt) < since) return false;
+        return true;
+    });
+
+    if (filter.limit) runs = runs.slice(0, filter.limit);
+
+    return runs;
+}
+
+/**
+ * Build an audit log entry for a
+ * `data.sync` run.
+ *
+ * @param {Object} details
+ * @param {String} details.entity
+ * @param {String} details.origin
+ * @param {String} details.status `done`, `error`, `failed`, `skipped` or `dryrun`
+ * @param {String} details.filepath
+ * @param {String} details.checksum
+ * @param {String} details.archivedPath
+ * @param {ImportJob} details.job
+ * @param {Array} details.errors
+ * @param {Date} details.startedAt
+ * @returns {Object}
+ */
+function createRun(details = {}) {
+    const job = details.job;
+    const startedAt = new Date(details.startedAt || Date.now());
+    const endedAt = new Date(details.endedAt || Date.now());
+
+    return {
+        id: details.id || `run_${details.entity}_${Date.now().toString(36)}_${(counter++).toString(36)}`,
+        entity: details.entity,
+        origin: details.origin,
+        action: details.action,
+        status: details.status,
+        filepath: details.filepath,
+        checksum: details.checksum,
+        archivedPath: details.archivedPath,
+        jobId: job ? job.id : undefined,
+        created: job ? job.created : 0,
+        updated: job ? job.updated : 0,
+        upserted: job ? job.upserted : 0,
+        failed: job ? job.failed : 0,
+        removed: job ? job.removed : 0,
+        unchanged: job ? job.unchanged : 0,
+        rejected: job ? job.rejected : 0,
+        errors: (details.errors || []).map(serializeError),
+        reason: details.reason,
+        startedAt: startedAt.toISOString(),
+        endedAt: endedAt.toISOString(),
+        duration: endedAt - startedAt,
+    };
+}
+
+function serializeError(error = {}) {
+    return {
+        message: error.message,
+        code: error.code,
+        identity: error.identity,
+        updateStrategy: error.updateStrategy,
+        criteria: error.criteria,
+        row: error.row,
+        line: error.line,
+        path: error.path,
+        rule: error.rule,
+    };
+}
+
+module.exports = FileAuditStore;
+module.exports.FileAuditStore = FileAuditStore;
+module.exports.MemoryAuditStore = MemoryAuditStore;
+module.exports.createRun = createRun;
+module.exports.filterRuns = filterRuns;
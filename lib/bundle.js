@@ -0,0 +1,272 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const DataManagerError = require('./errors');
+const { getAssociations } = require('./associations');
+
+/**
+ * References to records imported earlier
+ * in the same bundle, e.g. `@org:acme`.
+ */
+const REFERENCE = /^@([\w-]+):(.+)$/;
+
+/**
+ * Load a bundle and return a list of entries,
+ * one per entity, in the order they are listed.
+ *
+ * A bundle is either a manifest:
+ *
+ * ```js
+ * {
+ *     entities: {
+ *         user: 'users.csv',
+ *         organization: { file: 'orgs.csv', key: 'slug', ref: 'org' },
+ *         membership: { records: [{ user: '@user:a@acme.com', organization: '@org:acme' }] }
+ *     }
+ * }
+ * ```
+ *
+ * or an object keyed by entity identity holding
+ * lists of records. `entities` can also be a list
+ * of entries with an `entity` property.
+ *
+ * Files are resolved relative to the bundle file.
+ * `config` is merged into each entry, keyed
+ * by identity, e.g. to set `key` and `ref` for
+ * keyed bundles.
+ *
+ * @param {String|Object} bundle Filename or bundle
+ * @param {Object} [config={}] Per entity config
+ * @returns {Promise<Array>} `{identity, file, records, key, ref, options}`
+ */
+function loadBundle(bundle, config = {}) {
+    if (typeof bundle !== 'string') {
+        return Promise.resolve(normalize(bundle, process.cwd(), config));
+    }
+
+    const filename = path.resolve(bundle);
+
+    return fsx.readFile(filename, 'utf8').then(content => {
+        const ext = path.extname(filename).toLowerCase();
+        const data = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+        return normalize(data, path.dirname(filename), config);
+    });
+}
+
+function normalize(bundle, dirname, config = {}) {
+    if (!bundle || typeof bundle !== 'object') {
+        throw new Error('Bundle must be an object keyed by entity or a manifest');
+    }
+
+    let entries;
+
+    if (Array.isArray(bundle.entities)) {
+        entries = bundle.entities.map(entry => Object.assign({}, entry, { identity: entry.entity }));
+    } else if (bundle.entities && typeof bundle.entities === 'object') {
+        entries = Object.keys(bundle.entities).map(identity => {
+            let entry = bundle.entities[identity];
+            if (typeof entry === 'string') entry = { file: entry };
+            else if (Array.isArray(entry)) entry = { records: entry };
+            return Object.assign({}, entry, { identity });
+        });
+    } else {
+        entries = Object.keys(bundle).map(identity => ({ identity, records: bundle[identity] }));
+    }
+
+    return entries.map(entry => {
+        if (!entry.identity) throw new Error('Bundle entry without entity');
+
+        entry = Object.assign({}, entry, config[entry.identity]);
+
+        if (entry.file) entry.file = path.resolve(dirname, entry.file);
+
+        if (!entry.file && !Array.isArray(entry.records)) {
+            throw new Error(`Bundle entry "${entry.identity}" needs a "file" or "records"`);
+        }
+
+        entry.ref = entry.ref || entry.identity;
+        entry.options = Object.assign({}, entry.options);
+
+        return entry;
+    });
+}
+
+/**
+ * Sort entries so that entities are imported
+ * after the entities they reference through a
+ * `model` attribute in their definition.
+ *
+ * Collections and self references are ignored.
+ * Entries keep their order otherwise.
+ *
+ * @param {Array} entries
+ * @param {Object} Models Keyed by identity
+ * @returns {Array}
+ */
+function sortEntries(entries, Models) {
+    const identities = entries.map(entry => entry.identity.toLowerCase());
+
+    const dependencies = new Map(entries.map(entry => {
+        const identity = entry.identity.toLowerCase();
+        const associations = getAssociations(Models[entry.identity]);
+        const depends = Object.keys(associations)
+            .map(key => associations[key])
+            .filter(association => !association.collection)
+            .map(association => association.identity.toLowerCase())
+            .filter(related => related !== identity && identities.includes(related));
+        return [entry, depends];
+    }));
+
+    const sorted = [];
+    const done = new Set();
+    let pending = entries.slice();
+
+    while (pending.length) {
+        const next = pending.find(entry => {
+            return dependencies.get(entry).every(identity => done.has(identity));
+        });
+
+        if (!next) {
+            const cycle = pending.map(entry => entry.identity).join(', ');
+            let error = new DataManagerError(`Circular dependency between ${cycle}`, pending[0].identity, 'bundle');
+            error.code = 'E_BUNDLE_CYCLE';
+            throw error;
+        }
+
+        sorted.push(next);
+        done.add(next.identity.toLowerCase());
+        pending = pending.filter(entry => entry !== next);
+    }
+
+    return sorted;
+}
+
+/**
+ * Field used to reference records of `entry`:
+ * the entry `key`, the first unique attribute
+ * of the Model or its primary key.
+ *
+ * @param {Object} entry
+ * @param {Object} Model
+ * @returns {String}
+ * @throws {DataManagerError} `E_BUNDLE_KEY`
+ */
+function resolveKey(entry, Model = {}) {
+    const schema = Model.definition || Model.attributes || {};
+    const attributes = Object.keys(schema);
+
+    const fail = message => {
+        let error = new DataManagerError(message, entry.identity, 'bundle');
+        error.code = 'E_BUNDLE_KEY';
+        throw error;
+    };
+
+    if (entry.key) {
+        if (attributes.length && !schema[entry.key]) {
+            fail(`Bundle key "${entry.key}" is not an attribute of ${entry.identity}`);
+        }
+        return entry.key;
+    }
+
+    let key = attributes.find(name => schema[name] && schema[name].unique);
+    if (!key) key = Model.primaryKey || attributes.find(name => schema[name] && schema[name].primaryKey);
+    if (!key && schema.id) key = 'id';
+    if (!key) fail(`No bundle key for ${entry.identity}, set "key" to a unique attribute`);
+
+    return key;
+}
+
+/**
+ * Keeps the ids of records imported in a
+ * bundle so that later entities can
+ * reference them.
+ */
+class ReferenceMap {
+    constructor(entries = []) {
+        this.aliases = new Map();
+        this.ids = new Map();
+
+        entries.forEach(entry => {
+            this.aliases.set(entry.ref, entry);
+            this.aliases.set(entry.identity, entry);
+            this.ids.set(entry.identity, new Map());
+        });
+    }
+
+    /**
+     * Register imported records using
+     * the entry `key` field, see `resolveKey`.
+     * @param {Object} entry
+     * @param {Array} records Imported records
+     * @param {String} [primaryKey=id]
+     */
+    add(entry, records = [], primaryKey = 'id') {
+        if (!entry.key) return;
+        const ids = this.ids.get(entry.identity);
+        records.forEach(record => {
+            //updateOrCreate resolves to a list
+            record = [].concat(record)[0];
+            if (!record || record[entry.key] === undefined) return;
+            ids.set(String(record[entry.key]), record[primaryKey]);
+        });
+    }
+
+    /**
+     * Transform step replacing references
+     * with the id of the referenced record.
+     * Records with unknown references are
+     * rejected. On dry runs references to
+     * bundle entities are left as is.
+     * @param {Boolean} [dryRun=false]
+     * @returns {Function}
+     */
+    step(dryRun = false) {
+        const resolveReferences = (record, context) => {
+            let unresolved;
+
+            const resolve = value => {
+                if (typeof value !== 'string') return value;
+
+                const match = REFERENCE.exec(value);
+                if (!match) return value;
+
+                const entry = this.aliases.get(match[1]);
+                const ids = entry && this.ids.get(entry.identity);
+
+                if (ids && ids.has(match[2])) return ids.get(match[2]);
+                if (entry && dryRun) return value;
+
+                unresolved = unresolved || value;
+                return value;
+            };
+
+            Object.keys(record).forEach(key => {
+                const value = record[key];
+                record[key] = Array.isArray(value) ? value.map(resolve) : resolve(value);
+            });
+
+            if (unresolved) return context.reject(`Unresolved reference ${unresolved}`);
+
+            return record;
+        };
+
+        return resolveReferences;
+    }
+
+    toJSON() {
+        let out = {};
+        this.ids.forEach((ids, identity) => {
+            if (ids.size) out[identity] = Object.fromEntries(ids);
+        });
+        return out;
+    }
+}
+
+module.exports = loadBundle;
+module.exports.loadBundle = loadBundle;
+module.exports.sortEntries = sortEntries;
+module.exports.resolveKey = resolveKey;
+module.exports.ReferenceMap = ReferenceMap;
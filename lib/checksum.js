@@ -0,0 +1,24 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Hash the contents of a file. The
+ * file is streamed.
+ * @param {String} filename
+ * @param {String} [algorithm='sha256']
+ * @returns {Promise<String>} Hex digest
+ */
+function fileChecksum(filename, algorithm = 'sha256') {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        fs.createReadStream(filename)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', _ => resolve(hash.digest('hex')));
+    });
+}
+
+module.exports = fileChecksum;
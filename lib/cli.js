@@ -0,0 +1,459 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const Manager = require('./manager');
+
+/**
+ * Exit codes follow diff(1):
+ * - 0: success, or no differences.
+ * - 1: some records failed, or differences found.
+ * - 2: usage, config or fatal import error.
+ */
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+const DEFAULT_CONFIG = './data-manager.config.js';
+
+const USAGE = `Usage: data-manager <command> [options]
+
+Commands:
+  import <entity> <file>    Import a file as entity records
+  export <entity>           Export entity records
+  diff <entity> <file>      Show what importing a file would change
+  bundle <file>             Import a bundle of entities in dependency order
+
+Options:
+  -c, --config <file>       Config module (default ${DEFAULT_CONFIG})
+  -t, --type <type>         File type, e.g. csv (default: file extension)
+  -f, --format <type>       Export format (default json)
+  -w, --where <criteria>    Export criteria, JSON or key=value, repeatable
+  -o, --out <file>          Write export to file instead of stdout
+      --sort <sort>         Export sort, e.g. "name ASC"
+      --skip <n>            Skip the first n records
+      --limit <n>           Export at most n records
+      --populate <names>    Comma separated associations to populate
+  -m, --mapping <file>      JSON file with a column mapping
+      --mirror <mode>       delete, flag or report records missing from the file
+      --truncate            Remove all records before importing
+  -k, --key <entity=field>  Bundle field other entities reference, repeatable
+      --dry-run             Import without writing, same as diff
+      --json                Print the summary or report as JSON
+  -v, --verbose             Log manager output to stderr
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    type: { type: 'string', short: 't' },
+    format: { type: 'string', short: 'f' },
+    where: { type: 'string', short: 'w', multiple: true },
+    out: { type: 'string', short: 'o' },
+    sort: { type: 'string' },
+    skip: { type: 'string' },
+    limit: { type: 'string' },
+    populate: { type: 'string' },
+    mapping: { type: 'string', short: 'm' },
+    mirror: { type: 'string' },
+    truncate: { type: 'boolean' },
+    key: { type: 'string', short: 'k', multiple: true },
+    'dry-run': { type: 'boolean' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+const COMMANDS = {
+    import: runImport,
+    export: runExport,
+    diff: runDiff,
+    bundle: runBundle,
+};
+
+/**
+ * Run the CLI.
+ *
+ * The config module exports the manager config,
+ * or a function returning it or a promise for it.
+ * It must provide a `modelProvider` or a `models`
+ * object keyed by identity. An optional `close`
+ * function is called once we are done, e.g. to
+ * tear down the ORM.
+ *
+ * @param {Array} argv Arguments, without node and script
+ * @param {Object} [io] `stdout`, `stderr` and `cwd`
+ * @returns {Promise<Number>} Exit code
+ */
+async function run(argv = [], io = {}) {
+    io = Object.assign({
+        stdout: process.stdout,
+        stderr: process.stderr,
+        cwd: process.cwd(),
+    }, io);
+
+    let args;
+
+    try {
+        args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        io.stderr.write(`${err.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    const { values, positionals } = args;
+    const [command, ...params] = positionals;
+
+    if (values.help || !command) {
+        (values.help ? io.stdout : io.stderr).write(USAGE);
+        return values.help ? EXIT_OK : EXIT_ERROR;
+    }
+
+    if (!COMMANDS[command]) {
+        io.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    let config;
+
+    try {
+        config = await loadConfig(values.config || DEFAULT_CONFIG, io);
+    } catch (err) {
+        io.stderr.write(`Unable to load config: ${err.message}\n`);
+        return EXIT_ERROR;
+    }
+
+    try {
+        const manager = createManager(config, values, io);
+        return await COMMANDS[command](manager, params, values, io);
+    } catch (err) {
+        io.stderr.write(`${command} failed: ${err.message}\n`);
+        if (err.code === 'E_USAGE') io.stderr.write(`\n${USAGE}`);
+        else if (values.verbose && err.stack) io.stderr.write(`${err.stack}\n`);
+        return EXIT_ERROR;
+    } finally {
+        if (typeof config.close === 'function') {
+            await Promise.resolve(config.close()).catch(err => {
+                io.stderr.write(`Error closing: ${err.message}\n`);
+            });
+        }
+    }
+}
+
+async function runImport(manager, params, values, io) {
+    const [entity, filename] = params;
+
+    if (!entity || !filename) throw usageError('import requires <entity> and <file>');
+
+    const options = await getImportOptions(values, io);
+
+    if (options.dryRun) return runDiff(manager, params, values, io);
+
+    const filepath = path.resolve(io.cwd, filename);
+    const promise = manager.importFileAsModels(entity, filepath, options);
+    const job = promise.job;
+
+    await promise;
+
+    const errors = manager.consumeErrorsFor(entity, job.id);
+    const summary = {
+        entity,
+        file: filename,
+        created: job.created,
+        updated: job.updated,
+        upserted: job.upserted,
+        unchanged: job.unchanged,
+        removed: job.removed,
+        failed: job.failed,
+        errors: errors.map(serializeError),
+    };
+
+    if (values.json) {
+        io.stdout.write(JSON.stringify(summary, null, 4) + '\n');
+    } else {
+        io.stdout.write(formatCounts(`Imported ${filename} as ${entity}`, summary, [
+            'created', 'updated', 'upserted', 'unchanged', 'removed', 'failed'
+        ]));
+        errors.forEach(error => io.stdout.write(`  ${formatError(error)}\n`));
+    }
+
+    return job.failed || errors.length ? EXIT_FAILED : EXIT_OK;
+}
+
+async function runDiff(manager, params, values, io) {
+    const [entity, filename] = params;
+
+    if (!entity || !filename) throw usageError('diff requires <entity> and <file>');
+
+    const options = await getImportOptions(values, io);
+    options.dryRun = true;
+
+    const filepath = path.resolve(io.cwd, filename);
+    const report = await manager.importFileAsModels(entity, filepath, options);
+    const summary = report.summary;
+
+    if (values.json) {
+        io.stdout.write(JSON.stringify(report.toJSON(), null, 4) + '\n');
+    } else {
+        io.stdout.write(formatCounts(`Changes for ${entity} from ${filename}`, summary, [
+            'created', 'updated', 'unchanged', 'missing', 'destroyed', 'failed'
+        ]));
+        report.failed.forEach(failed => io.stdout.write(`  ${formatError(failed.error)}\n`));
+    }
+
+    const changed = summary.created || summary.updated || summary.missing || summary.destroyed || summary.failed;
+
+    return changed ? EXIT_FAILED : EXIT_OK;
+}
+
+async function runBundle(manager, params, values, io) {
+    const [filename] = params;
+
+    if (!filename) throw usageError('bundle requires <file>');
+
+    const options = await getImportOptions(values, io);
+    delete options.mapping;
+
+    if (values.key) {
+        options.entities = values.key.reduce((entities, value) => {
+            const [entity, key] = value.split('=');
+            if (!entity || !key) throw usageError(`invalid --key, expected entity=field: ${value}`);
+            entities[entity] = { key };
+            return entities;
+        }, {});
+    }
+
+    const results = await manager.importBundle(path.resolve(io.cwd, filename), options);
+
+    const summary = results.order.map(entity => {
+        const result = results.entities[entity];
+        const counts = result.report ? result.report.summary : result.job.toJSON();
+        return {
+            entity,
+            created: counts.created,
+            updated: counts.updated,
+            upserted: counts.upserted,
+            unchanged: counts.unchanged,
+            rejected: (result.rejected || []).length,
+            failed: counts.failed,
+            errors: result.errors.map(serializeError),
+            rejections: (result.rejected || []).map(rejection => ({
+                row: rejection.row,
+                reason: rejection.reason,
+            })),
+        };
+    });
+
+    if (values.json) {
+        io.stdout.write(JSON.stringify(summary, null, 4) + '\n');
+    } else {
+        summary.forEach(counts => {
+            io.stdout.write(formatCounts(`Imported ${counts.entity}`, counts, [
+                'created', 'updated', 'upserted', 'unchanged', 'rejected', 'failed'
+            ]));
+            counts.errors.forEach(error => io.stdout.write(`  ${formatError(error)}\n`));
+            counts.rejections.forEach(rejection => io.stdout.write(`  ${formatError({
+                row: rejection.row,
+                message: `rejected, ${rejection.reason}`,
+            })}\n`));
+        });
+    }
+
+    const failed = summary.some(counts => counts.failed || counts.errors.length);
+
+    return failed ? EXIT_FAILED : EXIT_OK;
+}
+
+async function runExport(manager, params, values, io) {
+    const [entity] = params;
+
+    if (!entity) throw usageError('export requires <entity>');
+
+    const type = values.format || values.type || 'json';
+    const query = buildQuery(values);
+
+    if (values.out) {
+        const filename = path.resolve(io.cwd, values.out);
+        await manager.exportModelsToFile(entity, query, type, { filename });
+        io.stderr.write(`Exported ${entity} to ${values.out}\n`);
+        return EXIT_OK;
+    }
+
+    if (manager.hasStreamExporter(type)) {
+        const output = await manager.exportModelsStream(entity, query, type);
+        await new Promise((resolve, reject) => {
+            output.on('error', reject);
+            output.on('end', resolve);
+            output.pipe(io.stdout, { end: false });
+        });
+        return EXIT_OK;
+    }
+
+    const output = await manager.exportModels(entity, query, type);
+    io.stdout.write(Buffer.isBuffer(output) ? output : String(output));
+
+    return EXIT_OK;
+}
+
+/**
+ * Load the config module relative to `cwd`.
+ * @param {String} filename
+ * @param {Object} io
+ * @returns {Promise<Object>}
+ */
+async function loadConfig(filename, io) {
+    const filepath = path.resolve(io.cwd, filename);
+
+    if (!await fsx.pathExists(filepath)) {
+        throw new Error(`config file not found: ${filename}`);
+    }
+
+    let config = require(filepath);
+
+    if (typeof config === 'function') config = await config();
+
+    config = Object.assign({}, config);
+
+    if (!config.modelProvider && config.models) {
+        const models = config.models;
+        config.modelProvider = identity => Promise.resolve(models[identity]);
+    }
+
+    if (typeof config.modelProvider !== 'function') {
+        throw new Error('config must provide a "modelProvider" function or "models"');
+    }
+
+    return config;
+}
+
+function createManager(config, values, io) {
+    const options = Object.assign({}, config);
+    delete options.close;
+    delete options.models;
+
+    if (!options.logger) options.logger = createLogger(io, values.verbose);
+
+    const modelProvider = options.modelProvider;
+
+    /*
+     * Fail with a clear message for
+     * unknown entities.
+     */
+    options.modelProvider = identity => Promise.resolve(modelProvider(identity)).then(Model => {
+        if (!Model) throw new Error(`unknown entity: ${identity}`);
+        return Model;
+    });
+
+    return new Manager(options);
+}
+
+async function getImportOptions(values, io) {
+    const options = {};
+
+    if (values.type) options.type = values.type;
+    if (values.truncate) options.truncate = true;
+    if (values.mirror) options.mirror = values.mirror;
+    if (values['dry-run']) options.dryRun = true;
+
+    if (values.mapping) {
+        options.mapping = await fsx.readJson(path.resolve(io.cwd, values.mapping));
+    }
+
+    return options;
+}
+
+/**
+ * Build an export query from the
+ * command line options.
+ * @param {Object} values
+ * @returns {Object}
+ */
+function buildQuery(values = {}) {
+    const query = {};
+
+    if (values.where) {
+        query.criteria = values.where.reduce((criteria, where) => {
+            return Object.assign(criteria, parseWhere(where));
+        }, {});
+    }
+
+    if (values.populate) query.populate = values.populate.split(',').map(name => name.trim());
+    if (values.sort) query.sort = values.sort;
+
+    ['skip', 'limit'].forEach(key => {
+        if (values[key] === undefined) return;
+        const value = parseInt(values[key], 10);
+        if (isNaN(value) || value < 0) throw usageError(`--${key} must be a positive integer`);
+        query[key] = value;
+    });
+
+    return query;
+}
+
+function parseWhere(where) {
+    if (where.trim().charAt(0) === '{') {
+        try {
+            return JSON.parse(where);
+        } catch (e) {
+            throw usageError(`invalid --where JSON: ${e.message}`);
+        }
+    }
+
+    const index = where.indexOf('=');
+    if (index === -1) throw usageError(`invalid --where, expected key=value: ${where}`);
+
+    return { [where.slice(0, index)]: _parseValue(where.slice(index + 1)) };
+}
+
+function _parseValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+function createLogger(io, verbose) {
+    const write = (...args) => io.stderr.write(require('util').format(...args) + '\n');
+    const noop = _ => {};
+    return {
+        debug: verbose ? write : noop,
+        info: verbose ? write : noop,
+        warn: write,
+        error: write,
+    };
+}
+
+function formatCounts(title, counts, keys) {
+    return `${title}\n` + keys.map(key => `  ${key}: ${counts[key] || 0}`).join('\n') + '\n';
+}
+
+function formatError(error = {}) {
+    let location = error.row ? `row ${error.row}: ` : error.line ? `line ${error.line}: ` : '';
+    return `${location}${error.message}`;
+}
+
+function serializeError(error = {}) {
+    return {
+        message: error.message,
+        code: error.code,
+        row: error.row,
+        line: error.line,
+        criteria: error.criteria,
+    };
+}
+
+function usageError(message) {
+    const error = new Error(message);
+    error.code = 'E_USAGE';
+    return error;
+}
+
+module.exports = run;
+module.exports.run = run;
+module.exports.buildQuery = buildQuery;
+module.exports.EXIT_OK = EXIT_OK;
+module.exports.EXIT_FAILED = EXIT_FAILED;
+module.exports.EXIT_ERROR = EXIT_ERROR;
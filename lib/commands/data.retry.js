@@ -0,0 +1,65 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * dataRetry: Replay failed records of an entity
+ * from the retry store, optionally after applying
+ * a patch. See `DataManager.retryFailed`.
+ *
+ * Failed records are only added to the retry store
+ * if the import had the `retryFailed` option, e.g.
+ * using the `<moduleid>.<origin>.retryFailed` config
+ * key for `data.sync`.
+ *
+ * Commands execute in the context of the app,
+ * meaning this === app.
+ *
+ * @param {Object} event
+ * @param {String} event.entity
+ * @param {Object|Function|String} event.patch
+ * @param {Array} event.ids
+ * @param {Boolean} event.force
+ *
+ * @returns {Void}
+ */
+module.exports = function dataRetry(event) {
+    const context = event.context;
+    const logger = context.getLogger('data-retry');
+
+    if (!event.entity) {
+        return logger.warn('Ignoring event, we dont have valid "entity"');
+    }
+
+    const dataManager = context.datamanager;
+
+    const options = {};
+
+    if (event.patch) options.patch = event.patch;
+    if (event.ids) options.ids = event.ids;
+    if (event.force) options.force = true;
+
+    const runRetry = () => dataManager.retryFailed(event.entity, options);
+
+    return dataManager.runExclusive(event.entity, runRetry, 'queue').then(result => {
+        logger.info('retried %s record(s) for entity %s, %s failed',
+            result.retried, event.entity, result.failed.length);
+
+        const command = result.failed.length ? 'data.retry.error' : 'data.retry.done';
+
+        if (context.hasCommand(command)) {
+            context.emit(command, {
+                id: event.id,
+                entity: event.entity,
+                retried: result.retried,
+                succeeded: result.succeeded,
+                failed: result.failed,
+                remaining: result.remaining,
+                errors: result.errors,
+                $meta: event.$meta || {},
+            });
+        }
+    }).catch(err => {
+        logger.error('Error while retrying failed records.');
+        logger.error('Error message: %s\n%s', err.message, err.stack);
+    });
+};
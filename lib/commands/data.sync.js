@@ -2,12 +2,18 @@
 'use strict';
 const fsx = require('fs-extra');
 const path = require('path');
+const fileChecksum = require('../checksum');
 /**
  * dataSync: Sincronize models after file updates.
  *
  * Commands execute in the context of the app,
  * meaning this === app.
  *
+ * Each run is added to the audit log, see
+ * `DataManager.listRuns`. Files we already
+ * imported successfully for the same entity,
+ * same checksum, are skipped.
+ *
  * @param {Object} event
  * @param {String} event.entity
  * @param {String} event.origin
@@ -16,6 +22,13 @@ const path = require('path');
  * @param {String} event.errorsPath
  * @param {String} event.historyPath
  * @param {String} event.moveAfterDone
+ * @param {Boolean} event.dryRun
+ * @param {Object} event.mapping
+ * @param {Array} event.transforms
+ * @param {String} event.lockStrategy
+ * @param {String|Object} event.mirror
+ * @param {Boolean} event.skipDuplicates
+ * @param {Boolean} event.retryFailed
  *
  * @returns {Void}
  */
@@ -51,14 +64,193 @@ module.exports = function dataSync(event) {
     const historyKeypath = `${moduleid}.${event.origin}.historyPath`;
 
 
+    /**
+     * Should we only report what the sync would do?
+     */
+    const dryRunKeypath = `${moduleid}.${event.origin}.dryRun`;
+
+    /**
+     * Column mapping for this entity
+     */
+    const mappingKeypath = `${moduleid}.${event.origin}.mappings.${event.entity}`;
+
+    /**
+     * Transform steps for this entity
+     */
+    const transformsKeypath = `${moduleid}.${event.origin}.transforms.${event.entity}`;
+
+    /**
+     * What to do if we are already syncing
+     * this entity: queue, reject or coalesce.
+     */
+    const lockKeypath = `${moduleid}.${event.origin}.lockStrategy`;
+
+    /**
+     * Remove records missing from the file:
+     * `delete`, `flag` or `report`, or an object
+     * with `mode`, `field` and `limit`.
+     */
+    const mirrorKeypath = `${moduleid}.${event.origin}.mirror`;
+
+    /**
+     * Should we skip files we already imported?
+     * Off unless set to `true`.
+     */
+    const duplicatesKeypath = `${moduleid}.${event.origin}.skipDuplicates`;
+
+    /**
+     * Should we keep failed records so we
+     * can replay them using `data.retry`?
+     */
+    const retryKeypath = `${moduleid}.${event.origin}.retryFailed`;
+
     const moveAfterDone = context.config.get(moveKeypath, event.moveAfterDone);
 
-    dataManager.importFileAsModels(event.entity, event.filepath).then((records = []) => {
+    const dryRun = context.config.get(dryRunKeypath, event.dryRun);
+
+    const mapping = context.config.get(mappingKeypath, event.mapping);
+
+    const transforms = context.config.get(transformsKeypath, event.transforms);
+
+    const lockStrategy = context.config.get(lockKeypath, event.lockStrategy || 'queue');
+
+    const mirror = context.config.get(mirrorKeypath, event.mirror);
+
+    const skipDuplicates = context.config.get(duplicatesKeypath, event.skipDuplicates);
+
+    const retryFailed = context.config.get(retryKeypath, event.retryFailed);
+
+    const importOptions = {};
+
+    if (mapping) importOptions.mapping = mapping;
+
+    if (transforms) importOptions.transforms = transforms;
+
+    if (mirror) Object.assign(importOptions, getMirrorOptions(mirror));
+
+    if (retryFailed) importOptions.retryFailed = true;
+
+    const startedAt = new Date();
+
+    let job;
+
+    /*
+     * Hash the file before we move it.
+     */
+    const checksum = fileChecksum(event.filepath).catch(err => {
+        logger.warn('Unable to compute checksum for %s: %s', event.filepath, err.message);
+    });
+
+    const recordRun = (status, details = {}) => {
+        return checksum.then(checksum => dataManager.recordRun(Object.assign({
+            entity: event.entity,
+            origin: event.origin,
+            action: event.action,
+            filepath: event.filepath,
+            checksum,
+            status,
+            job,
+            startedAt,
+        }, details))).catch(err => {
+            logger.error('Error adding sync run to audit log: %s', err.message);
+        });
+    };
+
+    if (dryRun) {
+        importOptions.dryRun = true;
+
+        /*
+         * Dry runs take the entity lock too so
+         * they don't read a half done import.
+         */
+        const runDryRun = () => {
+            const promise = dataManager.importFileAsModels(event.entity, event.filepath, importOptions);
+            job = promise.job;
+            return promise;
+        };
+
+        return dataManager.runExclusive(event.entity, runDryRun, lockStrategy).then(report => {
+            logger.info('dry run completed for entity %s: %j', event.entity, report.summary);
+
+            recordRun('dryrun');
+
+            if (context.hasCommand('data.sync.dryrun')) {
+                context.emit('data.sync.dryrun', {
+                    id: event.id,
+                    report: report.toJSON(),
+                    parameters: getParameters(event),
+                    $meta: event.$meta || {},
+                });
+            }
+        }).catch(err => {
+            if (err.code === 'E_BUSY' || err.code === 'E_COALESCED') {
+                logger.warn('Skipping dry run for entity %s: %s', event.entity, err.message);
+                recordRun('skipped', { reason: err.code });
+
+                if (context.hasCommand('data.sync.skipped')) {
+                    context.emit('data.sync.skipped', {
+                        id: event.id,
+                        reason: err.code,
+                        parameters: getParameters(event),
+                        $meta: event.$meta || {},
+                    });
+                }
+                return;
+            }
+
+            logger.error('Error while running dry run import.');
+            logger.error('Error message: %s\n%s', err.message, err.stack);
+            recordRun('failed', { errors: [err] });
+        });
+    }
+
+    /**
+     * Find a successful run for this entity
+     * with the same file checksum.
+     */
+    const findDuplicate = () => {
+        if (skipDuplicates !== true) return Promise.resolve();
+        return checksum.then(checksum => {
+            if (!checksum) return;
+            return dataManager.listRuns({
+                entity: event.entity,
+                checksum,
+                status: 'done',
+                limit: 1,
+            }).then(runs => runs[0]);
+        });
+    };
+
+    /*
+     * We check for duplicates and archive the file
+     * while holding the lock so that a queued sync
+     * of the same file sees this run.
+     */
+    const runImport = () => {
+        return findDuplicate().then(duplicate => {
+            if (duplicate) {
+                const error = new Error(`File already imported in run ${duplicate.id}`);
+                error.code = 'E_DUPLICATE';
+                error.run = duplicate;
+                return Promise.reject(error);
+            }
+
+            const promise = dataManager.importFileAsModels(event.entity, event.filepath, importOptions);
+            job = promise.job;
+            return promise.then(onComplete);
+        });
+    };
+
+    if (dataManager.isLocked(event.entity)) {
+        logger.info('entity %s is being synced, strategy: %s', event.entity, lockStrategy);
+    }
+
+    const onComplete = (records = []) => {
         logger.info('sync completed for entity %s', event.entity);
 
         let completionCommand = 'data.sync.done';
         let dest = context.config.get(historyKeypath, event.historyPath);
-        let errors = dataManager.consumeErrorsFor(event.entity);
+        let errors = dataManager.consumeErrorsFor(event.entity, job && job.id);
 
         const hasErrors = errors && errors.length;
 
@@ -71,29 +263,90 @@ module.exports = function dataSync(event) {
             completionCommand = 'data.sync.error';
         }
 
-        moveSourceFiles(moveAfterDone, dest, event.filepath);
+        const archived = moveSourceFiles(moveAfterDone, dest, event.filepath).then(archivedPath => {
+            return recordRun(hasErrors ? 'error' : 'done', { errors, archivedPath });
+        });
 
         if (context.hasCommand(completionCommand)) {
             context.emit(completionCommand, {
                 id: event.id,
                 errors,
                 records,
+                mirror: records.mirror,
+                rejected: records.rejected,
                 parameters: getParameters(event),
                 $meta: event.$meta || {},
             });
         }
 
-    }).catch(err => {
+        return archived;
+    };
+
+    dataManager.runExclusive(event.entity, runImport, lockStrategy).catch(err => {
+        if (err.code === 'E_BUSY' || err.code === 'E_COALESCED' || err.code === 'E_DUPLICATE') {
+            logger.warn('Skipping sync for entity %s: %s', event.entity, err.message);
+
+            /*
+             * Duplicates were processed, archive them
+             * like successful runs.
+             */
+            let archived = Promise.resolve();
+            if (err.code === 'E_DUPLICATE') {
+                archived = moveSourceFiles(moveAfterDone, context.config.get(historyKeypath, event.historyPath), event.filepath);
+            }
+
+            archived.then(archivedPath => recordRun('skipped', { reason: err.code, archivedPath }));
+
+            if (context.hasCommand('data.sync.skipped')) {
+                context.emit('data.sync.skipped', {
+                    id: event.id,
+                    reason: err.code,
+                    duplicateOf: err.run ? err.run.id : undefined,
+                    parameters: getParameters(event),
+                    $meta: event.$meta || {},
+                });
+            }
+            return;
+        }
+
+        /*
+         * Mirror import aborted by the safety
+         * limit, nothing was removed.
+         */
+        if (err.code === 'E_MIRROR_LIMIT') {
+            logger.error(err.message);
+
+            moveSourceFiles(moveAfterDone, context.config.get(errorsKeypath, event.errorsPath), event.filepath).then(archivedPath => {
+                recordRun('failed', { errors: [err], archivedPath });
+            });
+
+            if (context.hasCommand('data.sync.error')) {
+                context.emit('data.sync.error', {
+                    id: event.id,
+                    errors: [err],
+                    records: [],
+                    parameters: getParameters(event),
+                    $meta: event.$meta || {},
+                });
+            }
+            return;
+        }
+
         logger.error('Error while importing file as models.');
         logger.error('Error message: %s\n%s', err.message, err.stack);
+
+        recordRun('failed', { errors: [err] });
     });
 
+    /**
+     * Resolves to the archived file path.
+     */
     const moveSourceFiles = (move, dest, filepath) => {
-        if (!move) return;
-        fsx.mkdirp(dest).then(_ => {
-            const target = getTargetFilename(filepath, dest);
+        if (!move) return Promise.resolve();
+        const target = getTargetFilename(filepath, dest);
+        return fsx.mkdirp(dest).then(_ => {
             return fsx.move(filepath, target);
-        }).catch(err => {
+        }).then(_ => target).catch(err => {
             logger.error('Error archiving our file: %s', filepath);
             logger.error(err);
         });
@@ -107,6 +360,16 @@ function getTargetFilename(filepath, target) {
 }
 
 
+function getMirrorOptions(mirror) {
+    if (typeof mirror === 'string') return { mirror };
+
+    let options = { mirror: mirror.mode };
+    if (mirror.field) options.mirrorField = mirror.field;
+    if (typeof mirror.limit === 'number') options.mirrorLimit = mirror.limit;
+
+    return options;
+}
+
 function getParameters(src) {
     const attributes = [
         'entity',
@@ -115,7 +378,14 @@ function getParameters(src) {
         'filepath',
         'errorsPath',
         'historyPath',
-        'moveAfterDone'
+        'moveAfterDone',
+        'dryRun',
+        'mapping',
+        'transforms',
+        'lockStrategy',
+        'mirror',
+        'skipDuplicates',
+        'retryFailed'
     ];
     return attributes.reduce((out, key) => {
         out[key] = src[key];
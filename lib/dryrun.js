@@ -0,0 +1,167 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * Collects the outcome of an import without
+ * writing anything to the database.
+ *
+ * Each entry holds the `record` we would have
+ * imported and the `criteria` used to find it.
+ */
+class DryRunReport {
+    constructor(identity, updateMethod) {
+        this.identity = identity;
+        this.updateMethod = updateMethod;
+        this.dryRun = true;
+        this.truncate = false;
+        this.destroyed = 0;
+        this.created = [];
+        this.updated = [];
+        this.unchanged = [];
+        this.failed = [];
+        this.related = [];
+        this.missing = [];
+        this.rejected = [];
+    }
+
+    create(record, criteria) {
+        this.created.push({ record, criteria });
+    }
+
+    /**
+     * A record that would be updated. If the diff
+     * is empty we flag it as unchanged.
+     * @param {Object} record Incoming record
+     * @param {Object} criteria
+     * @param {Object} stored Record found in the database
+     * @param {Object} diff Field level diff
+     */
+    update(record, criteria, stored, diff) {
+        let entry = { record, criteria, stored, diff };
+        if (Object.keys(diff).length === 0) this.unchanged.push(entry);
+        else this.updated.push(entry);
+    }
+
+    /**
+     * A related record that would be created
+     * while resolving associations.
+     * @param {String} identity Related Model identity
+     * @param {Object} criteria
+     */
+    relate(identity, criteria) {
+        this.related.push({ identity, criteria });
+    }
+
+    /**
+     * A stored record that is not in the
+     * source, for mirror imports.
+     * @param {Object} stored
+     */
+    remove(stored) {
+        this.missing.push({ stored });
+    }
+
+    /**
+     * A record that would fail.
+     * @param {Object} record
+     * @param {Object} criteria
+     * @param {Error} error
+     * @param {Array} [errors] All errors, e.g. validation errors
+     */
+    fail(record, criteria, error, errors = [error]) {
+        this.failed.push({
+            record,
+            criteria,
+            error: serializeError(error),
+            errors: errors.map(serializeError),
+        });
+    }
+
+    /**
+     * A record rejected by a transform step.
+     * @param {Object} rejection `{step, op, reason, row, record}`
+     */
+    reject(rejection) {
+        this.rejected.push(rejection);
+    }
+
+    get summary() {
+        return {
+            identity: this.identity,
+            destroyed: this.destroyed,
+            created: this.created.length,
+            updated: this.updated.length,
+            unchanged: this.unchanged.length,
+            failed: this.failed.length,
+            related: this.related.length,
+            missing: this.missing.length,
+            rejected: this.rejected.length,
+        };
+    }
+
+    toJSON() {
+        return {
+            identity: this.identity,
+            updateMethod: this.updateMethod,
+            dryRun: this.dryRun,
+            truncate: this.truncate,
+            summary: this.summary,
+            destroyed: this.destroyed,
+            created: this.created,
+            updated: this.updated,
+            unchanged: this.unchanged,
+            failed: this.failed,
+            related: this.related,
+            missing: this.missing,
+            rejected: this.rejected,
+        };
+    }
+}
+
+/**
+ * Compare an incoming record against the stored
+ * version. We only check fields present in the
+ * incoming record and defined in the model.
+ *
+ * Values are compared after normalization so
+ * that `"1"` and `1` are considered equal, since
+ * parsers like CSV only produce strings.
+ *
+ * @param {Object} Model Waterline collection
+ * @param {Object} stored Record in the database
+ * @param {Object} record Incoming record
+ * @returns {Object} Diff keyed by field, `{from, to}`
+ */
+function diffRecords(Model, stored = {}, record = {}) {
+    const attributes = Model.attributes || {};
+    let diff = {};
+
+    Object.keys(record).forEach(field => {
+        if (!attributes.hasOwnProperty(field)) return;
+        if (normalize(stored[field]) === normalize(record[field])) return;
+        diff[field] = { from: stored[field], to: record[field] };
+    });
+
+    return diff;
+}
+
+function serializeError(error = {}) {
+    return {
+        message: error.message,
+        code: error.code,
+        row: error.row,
+        path: error.path,
+        rule: error.rule,
+    };
+}
+
+function normalize(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+module.exports = DryRunReport;
+module.exports.DryRunReport = DryRunReport;
+module.exports.diffRecords = diffRecords;
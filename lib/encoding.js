@@ -0,0 +1,280 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const { Transform } = require('stream');
+const { TextDecoder } = require('util');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Byte order marks we recognize, longest first.
+ */
+const BOMS = [
+    { encoding: 'utf8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf16be', bytes: [0xFE, 0xFF] },
+];
+
+const ALIASES = {
+    'utf-8': 'utf8',
+    'utf-16le': 'utf16le',
+    'utf-16': 'utf16le',
+    'ucs2': 'utf16le',
+    'ucs-2': 'utf16le',
+    'utf-16be': 'utf16be',
+    'iso-8859-1': 'latin1',
+    'binary': 'latin1',
+};
+
+/**
+ * Normalize an encoding name, e.g.
+ * `UTF-16LE` to `utf16le`.
+ * @param {String} encoding
+ * @returns {String}
+ */
+function normalize(encoding = 'utf8') {
+    encoding = String(encoding).toLowerCase();
+    return ALIASES[encoding] || encoding;
+}
+
+/**
+ * Names used in documents, e.g. in an XML
+ * declaration, by normalized encoding.
+ */
+const LABELS = {
+    utf8: 'UTF-8',
+    utf16le: 'UTF-16LE',
+    utf16be: 'UTF-16BE',
+    latin1: 'ISO-8859-1',
+    ascii: 'US-ASCII',
+};
+
+/**
+ * Name of `encoding` to use in documents,
+ * e.g. `utf16le` to `UTF-16LE`.
+ * @param {String} encoding
+ * @returns {String}
+ */
+function label(encoding = 'utf8') {
+    encoding = normalize(encoding);
+    return LABELS[encoding] || encoding.toUpperCase();
+}
+
+/**
+ * Find the BOM at the start of `buffer`.
+ * @param {Buffer} buffer
+ * @returns {Object|undefined} Object with `encoding` and `length`
+ */
+function getBOM(buffer) {
+    const bom = BOMS.find(bom => bom.bytes.every((byte, i) => buffer[i] === byte));
+    if (bom) return { encoding: bom.encoding, length: bom.bytes.length };
+}
+
+/**
+ * Guess the encoding of `buffer`.
+ *
+ * We look for a BOM first. Without one, content
+ * with lots of zero bytes is UTF-16, content that
+ * is valid UTF-8 is UTF-8 and anything else is
+ * Latin-1.
+ *
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+function detect(buffer) {
+    const bom = getBOM(buffer);
+    if (bom) return bom.encoding;
+
+    const sample = buffer.slice(0, 4096);
+
+    let even = 0, odd = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] !== 0) continue;
+        if (i % 2) odd++;
+        else even++;
+    }
+
+    /*
+     * ASCII text in UTF-16 has a zero byte for
+     * every character.
+     */
+    if (odd > sample.length / 4) return 'utf16le';
+    if (even > sample.length / 4) return 'utf16be';
+
+    if (_isUTF8(sample, buffer.length > sample.length)) return 'utf8';
+
+    return 'latin1';
+}
+
+/**
+ * Decode `buffer` to a string removing the BOM.
+ * If `encoding` is `auto` we detect it.
+ *
+ * Besides Node's buffer encodings we support any
+ * encoding `TextDecoder` does, e.g. `windows-1252`.
+ *
+ * @param {Buffer} buffer
+ * @param {String} [encoding='auto']
+ * @returns {String}
+ */
+function decode(buffer, encoding = 'auto') {
+    if (typeof buffer === 'string') return stripBOM(buffer);
+
+    encoding = normalize(encoding);
+    if (encoding === 'auto') encoding = detect(buffer);
+
+    const bom = getBOM(buffer);
+    if (bom && bom.encoding === encoding) buffer = buffer.slice(bom.length);
+
+    const decoder = _decoder(encoding);
+
+    return decoder.write(buffer) + decoder.end();
+}
+
+/**
+ * Encode `content` optionally adding a BOM.
+ * Only `utf8`, `utf16le` and `utf16be` have a BOM.
+ *
+ * @param {String} content
+ * @param {String} [encoding='utf8']
+ * @param {Boolean} [bom=false]
+ * @returns {Buffer}
+ */
+function encode(content, encoding = 'utf8', bom = false) {
+    encoding = normalize(encoding);
+
+    let buffer;
+
+    if (encoding === 'utf16be') {
+        buffer = Buffer.from(String(content), 'utf16le').swap16();
+    } else if (Buffer.isEncoding(encoding)) {
+        buffer = Buffer.from(String(content), encoding);
+    } else {
+        throw new Error('Unsupported encoding: ' + encoding);
+    }
+
+    if (!bom) return buffer;
+
+    return Buffer.concat([getBOMBytes(encoding), buffer]);
+}
+
+/**
+ * @param {String} encoding
+ * @returns {Buffer}
+ */
+function getBOMBytes(encoding) {
+    const bom = BOMS.find(bom => bom.encoding === normalize(encoding));
+    return Buffer.from(bom ? bom.bytes : []);
+}
+
+function stripBOM(content = '') {
+    return content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+}
+
+/**
+ * Transform stream that decodes content in
+ * `encoding` and outputs UTF-8 without BOM.
+ * If `encoding` is `auto` we detect it using
+ * the first chunk.
+ *
+ * @param {String} [encoding='auto']
+ * @returns {Transform}
+ */
+function decodeStream(encoding = 'auto') {
+    encoding = normalize(encoding);
+
+    let decoder;
+
+    return new Transform({
+        transform(chunk, enc, done) {
+            if (!decoder) {
+                if (encoding === 'auto') encoding = detect(chunk);
+                const bom = getBOM(chunk);
+                if (bom && bom.encoding === encoding) chunk = chunk.slice(bom.length);
+                decoder = _decoder(encoding);
+            }
+            done(null, decoder.write(chunk));
+        },
+        flush(done) {
+            done(null, decoder ? decoder.end() : '');
+        }
+    });
+}
+
+/**
+ * Transform stream that encodes UTF-8 content
+ * to `encoding` optionally adding a BOM.
+ *
+ * @param {String} [encoding='utf8']
+ * @param {Boolean} [bom=false]
+ * @returns {Transform}
+ */
+function encodeStream(encoding = 'utf8', bom = false) {
+    const decoder = new StringDecoder('utf8');
+
+    /*
+     * Validate encoding before we start.
+     */
+    encode('', encoding);
+
+    return new Transform({
+        transform(chunk, enc, done) {
+            if (bom) {
+                this.push(getBOMBytes(encoding));
+                bom = false;
+            }
+            let content = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            done(null, encode(content, encoding));
+        },
+        flush(done) {
+            if (bom) this.push(getBOMBytes(encoding));
+            done(null, encode(decoder.end(), encoding));
+        }
+    });
+}
+
+/**
+ * Returns an object with `write` and `end`
+ * for any supported encoding.
+ * @param {String} encoding
+ * @returns {Object}
+ */
+function _decoder(encoding) {
+    if (Buffer.isEncoding(encoding)) return new StringDecoder(encoding);
+
+    /*
+     * TextDecoder throws a RangeError
+     * for unknown encodings.
+     */
+    const decoder = new TextDecoder(encoding === 'utf16be' ? 'utf-16be' : encoding);
+
+    return {
+        write: buffer => decoder.decode(buffer, { stream: true }),
+        end: _ => decoder.decode(),
+    };
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {Boolean} partial If true `buffer` might end
+ *                          in the middle of a character
+ * @returns {Boolean}
+ */
+function _isUTF8(buffer, partial = false) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = {
+    normalize,
+    label,
+    detect,
+    decode,
+    encode,
+    stripBOM,
+    decodeStream,
+    encodeStream,
+};
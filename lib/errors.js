@@ -0,0 +1,61 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+class DataManagerError extends Error {
+    constructor(message, identity, updateStrategy, criteria, source) {
+        super(message);
+        this.identity = identity;
+        this.updateStrategy = updateStrategy;
+        this.criteria = criteria;
+        this.source = source;
+        this.id = `error_${identity}_${Date.now().toString(36)}`;
+    }
+}
+
+/**
+ * Create an error for a record that failed
+ * validation.
+ *
+ * @param {String} message
+ * @param {String} identity Model identity
+ * @param {Object} details
+ * @param {Number} details.row Row number, starting at 1
+ * @param {String} details.path Field path
+ * @param {String} details.rule Failed rule, e.g. `required`
+ * @param {Object} details.record Invalid record
+ * @returns {DataManagerError}
+ */
+function validationError(message, identity, details = {}) {
+    let error = new DataManagerError(message, identity, 'validate');
+    error.code = 'E_VALIDATION';
+    error.row = details.row;
+    error.path = details.path;
+    error.rule = details.rule;
+    error.record = details.record;
+    return error;
+}
+
+/**
+ * Create an error for content we could
+ * not parse, e.g. an invalid line.
+ *
+ * @param {String} message
+ * @param {String} identity Model identity
+ * @param {Object} details
+ * @param {Number} details.line Line number, starting at 1
+ * @param {String} details.content Raw content
+ * @param {Error} details.source Original error
+ * @returns {DataManagerError}
+ */
+function parseError(message, identity, details = {}) {
+    let error = new DataManagerError(message, identity, 'parse', undefined, details.source);
+    error.code = 'E_PARSE';
+    error.line = details.line;
+    error.content = details.content;
+    return error;
+}
+
+module.exports = DataManagerError;
+module.exports.DataManagerError = DataManagerError;
+module.exports.validationError = validationError;
+module.exports.parseError = parseError;
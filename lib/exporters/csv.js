@@ -2,27 +2,125 @@
 'use strict';
 
 const stringifier = require('csv-stringify');
+const { Transform } = require('stream');
+const { flattenRecord } = require('../associations');
 
 class CSVExporter {
     constructor(manager) {
         manager.exporter('csv', this.export.bind(this, ','));
         manager.exporter('tsv', this.export.bind(this, '\t'));
+        manager.streamExporter('csv', this.stream.bind(this, ','));
+        manager.streamExporter('tsv', this.stream.bind(this, '\t'));
     }
 
+    /**
+     * Populated relationships are flattened, see
+     * `flattenRecord` for `options.flatten`.
+     * @param {String} delimiter
+     * @param {Array} records
+     * @param {Object} options
+     */
     export (delimiter, records, options = {}) {
         options.delimiter = options.delimiter || delimiter;
+        options.columns = options.columns || options.fields;
 
         if (!options.header) options.header = true;
 
+        records = records.map(record => flattenRecord(record, options));
+
+        /*
+         * Flattened records might not have the same
+         * columns, e.g. when an association is null.
+         */
+        if (!options.columns && options.flatten === 'dotted') {
+            options.columns = _collectColumns(records);
+        }
+
         return new Promise((resolve, reject) => {
-            //TODO: we should iterate over records and make sure we don't
-            //have populated relationships, and if we do, then show just the
-            //id
-            stringifier(records, options, function(err, out) {
+            stringifier(records, _stringifierOptions(options), function(err, out) {
                 if (err) reject(err);
                 resolve(out);
             });
         });
     }
+
+    /**
+     * Create a transform stream that takes
+     * records and outputs CSV rows.
+     *
+     * The header uses `options.fields`, or its
+     * alias `columns`. Otherwise it is built from
+     * the first record, with `flatten: 'dotted'`
+     * columns of related records missing in the
+     * first record are dropped from all rows.
+     *
+     * @param {String} delimiter
+     * @param {Object} options
+     * @returns {stream.Transform}
+     */
+    stream(delimiter, options = {}) {
+        const output = stringifier(_stringifierOptions(Object.assign({}, options, {
+            delimiter: options.delimiter || delimiter,
+            header: options.header === undefined ? true : options.header,
+            columns: options.fields || options.columns,
+        })));
+
+        const transform = new Transform({
+            writableObjectMode: true,
+            transform(record, encoding, done) {
+                output.write(flattenRecord(record, options), done);
+            },
+            flush(done) {
+                output.once('end', done);
+                output.end();
+            }
+        });
+
+        output.on('data', chunk => transform.push(chunk));
+        output.on('error', err => transform.destroy(err));
+
+        return transform;
+    }
+}
+module.exports = CSVExporter;
+
+/**
+ * Options we hand to the stringifier,
+ * other export options are ours. Encoding
+ * and BOM are handled when we write the file.
+ */
+const STRINGIFIER_OPTIONS = [
+    'cast',
+    'columns',
+    'delimiter',
+    'eof',
+    'escape',
+    'header',
+    'quote',
+    'quoted',
+    'quoted_empty',
+    'quotedEmpty',
+    'quoted_match',
+    'quotedMatch',
+    'quoted_string',
+    'quotedString',
+    'record_delimiter',
+    'recordDelimiter',
+];
+
+/**
+ * Pick the stringifier options.
+ * @param {Object} options
+ */
+function _stringifierOptions(options = {}) {
+    return STRINGIFIER_OPTIONS.reduce((out, key) => {
+        if (options[key] !== undefined) out[key] = options[key];
+        return out;
+    }, {});
+}
+
+function _collectColumns(records = []) {
+    let columns = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+    return Array.from(columns);
 }
-module.exports = CSVExporter;
\ No newline at end of file
@@ -1,9 +1,12 @@
 /*jshint esversion:6, node:true*/
 'use strict';
 
+const { Transform } = require('stream');
+
 class JSONExporter {
     constructor(manager){
         manager.exporter('json', this.export.bind(this));
+        manager.streamExporter('json', this.stream.bind(this));
     }
 
     export(records, options) {
@@ -14,5 +17,32 @@ class JSONExporter {
         }
         return JSON.stringify(records);
     }
+
+    /**
+     * Create a transform stream that takes
+     * records and outputs a JSON array, or
+     * an object with the array under
+     * `options.key`.
+     * @param {Object} options
+     * @returns {stream.Transform}
+     */
+    stream(options = {}) {
+        const open = options.key ? `{${JSON.stringify(options.key)}:[` : '[';
+        const close = options.key ? ']}' : ']';
+
+        let first = true;
+
+        return new Transform({
+            writableObjectMode: true,
+            transform(record, encoding, done) {
+                let prefix = first ? open : ',';
+                first = false;
+                done(null, prefix + JSON.stringify(record));
+            },
+            flush(done) {
+                done(null, (first ? open : '') + close);
+            }
+        });
+    }
 }
 module.exports = JSONExporter;
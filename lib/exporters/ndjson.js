@@ -0,0 +1,35 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const { Transform } = require('stream');
+
+class NDJSONExporter {
+    constructor(manager) {
+        ['ndjson', 'jsonl'].forEach(type => {
+            manager.exporter(type, this.export.bind(this));
+            manager.streamExporter(type, this.stream.bind(this));
+        });
+    }
+
+    export(records = [], options = {}) {
+        return records.map(record => JSON.stringify(record) + '\n').join('');
+    }
+
+    /**
+     * Create a transform stream that takes
+     * records and outputs one JSON document
+     * per line.
+     * @param {Object} options
+     * @returns {stream.Transform}
+     */
+    stream(options = {}) {
+        return new Transform({
+            writableObjectMode: true,
+            transform(record, encoding, done) {
+                done(null, JSON.stringify(record) + '\n');
+            }
+        });
+    }
+}
+
+module.exports = NDJSONExporter;
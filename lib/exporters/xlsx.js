@@ -0,0 +1,84 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const ExcelJS = require('exceljs');
+const { flattenRecord } = require('../associations');
+
+class XLSXExporter {
+    constructor(manager) {
+        manager.exporter('xlsx', this.export.bind(this));
+    }
+
+    /**
+     * Export records to a workbook.
+     *
+     * `records` can be an array, exported to a sheet
+     * named after `options.sheetName` or `options.identity`,
+     * or an object keyed by sheet name, e.g. one sheet
+     * per entity.
+     *
+     * Each sheet has a header row. Populated
+     * relationships are flattened.
+     *
+     * @param {Array|Object} records
+     * @param {Object} options
+     * @returns {Promise<Buffer>}
+     */
+    export(records = [], options = {}) {
+        const workbook = new ExcelJS.Workbook();
+
+        let sheets = records;
+
+        if (Array.isArray(records)) {
+            sheets = {};
+            sheets[options.sheetName || options.identity || 'Sheet1'] = records;
+        }
+
+        Object.keys(sheets).forEach(name => {
+            addSheet(workbook, name, sheets[name] || [], options);
+        });
+
+        return workbook.xlsx.writeBuffer().then(buffer => Buffer.from(buffer));
+    }
+}
+
+module.exports = XLSXExporter;
+
+function addSheet(workbook, name, records, options = {}) {
+    const sheet = workbook.addWorksheet(sheetName(name));
+
+    records = records.map(record => flattenRecord(record, options));
+
+    let columns = options.columns;
+
+    if (!columns) {
+        columns = new Set();
+        records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+        columns = Array.from(columns);
+    }
+
+    sheet.addRow(columns);
+    sheet.getRow(1).font = { bold: true };
+
+    records.forEach(record => {
+        sheet.addRow(columns.map(key => cellValue(record[key])));
+    });
+
+    return sheet;
+}
+
+function cellValue(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value;
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Sheet names are limited to 31 characters
+ * and can't contain some characters.
+ * @param {String} name
+ */
+function sheetName(name = 'Sheet1') {
+    return String(name).replace(/[\[\]\*\?\/\\:]/g, '_').slice(0, 31);
+}
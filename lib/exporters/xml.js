@@ -0,0 +1,47 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const { XMLBuilder } = require('fast-xml-parser');
+const encoding = require('../encoding');
+
+class XMLExporter {
+    constructor(manager) {
+        manager.exporter('xml', this.export.bind(this));
+    }
+
+    /**
+     * Export records as XML.
+     *
+     * `options.path` defines the element path for
+     * each record, e.g. `catalog.products.product`.
+     * Defaults to `records.<identity>`.
+     *
+     * The declaration uses `options.encoding`,
+     * the encoding the output will be written in.
+     *
+     * @param {Array} records
+     * @param {Object} options
+     */
+    export(records = [], options = {}) {
+        const path = options.path || `records.${options.identity || 'record'}`;
+        const keys = path.split('.');
+
+        let document = keys.reduceRight((value, key) => {
+            let node = {};
+            node[key] = value;
+            return node;
+        }, records);
+
+        const builder = new XMLBuilder({
+            format: options.format !== false,
+            ignoreAttributes: true,
+            suppressEmptyNode: true,
+        });
+
+        const declaration = `<?xml version="1.0" encoding="${encoding.label(options.encoding)}"?>\n`;
+
+        return declaration + builder.build(document);
+    }
+}
+
+module.exports = XMLExporter;
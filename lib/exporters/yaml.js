@@ -0,0 +1,22 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const yaml = require('js-yaml');
+
+class YAMLExporter {
+    constructor(manager) {
+        manager.exporter('yaml', this.export.bind(this));
+        manager.exporter('yml', this.export.bind(this));
+    }
+
+    export(records, options = {}) {
+        if (options.key) {
+            let obj = {};
+            obj[options.key] = records;
+            records = obj;
+        }
+        return yaml.dump(records, { skipInvalid: true });
+    }
+}
+
+module.exports = YAMLExporter;
@@ -0,0 +1,98 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * Get the boundary of a `multipart/form-data`
+ * content type header.
+ * @param {String} contentType
+ * @returns {String|undefined}
+ */
+function getBoundary(contentType = '') {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!match) return;
+    return match[1] || match[2].trim();
+}
+
+/**
+ * Parse a buffered `multipart/form-data` body.
+ *
+ * Parts with a filename are returned in `files`
+ * with their raw `content`, other parts are
+ * returned as strings in `fields`.
+ *
+ * @param {Buffer} body
+ * @param {String} boundary
+ * @returns {Object} `{fields, files}`
+ */
+function parseMultipart(body, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const out = { fields: {}, files: [] };
+
+    let start = body.indexOf(delimiter);
+
+    while (start !== -1) {
+        start += delimiter.length;
+
+        //Closing delimiter
+        if (body.slice(start, start + 2).toString() === '--') break;
+
+        let end = body.indexOf(delimiter, start);
+        if (end === -1) break;
+
+        const part = body.slice(_skipNewline(body, start), _trimNewline(body, end));
+        const separator = part.indexOf('\r\n\r\n');
+
+        if (separator !== -1) {
+            const headers = _parseHeaders(part.slice(0, separator).toString('utf8'));
+            const content = part.slice(separator + 4);
+            const disposition = _parseDisposition(headers['content-disposition']);
+
+            if (disposition.filename !== undefined) {
+                out.files.push({
+                    name: disposition.name,
+                    filename: disposition.filename,
+                    contentType: headers['content-type'],
+                    content,
+                });
+            } else if (disposition.name) {
+                out.fields[disposition.name] = content.toString('utf8');
+            }
+        }
+
+        start = end;
+    }
+
+    return out;
+}
+
+function _skipNewline(body, index) {
+    return body[index] === 0x0d && body[index + 1] === 0x0a ? index + 2 : index;
+}
+
+function _trimNewline(body, index) {
+    return body[index - 2] === 0x0d && body[index - 1] === 0x0a ? index - 2 : index;
+}
+
+function _parseHeaders(source) {
+    return source.split('\r\n').reduce((headers, line) => {
+        const index = line.indexOf(':');
+        if (index !== -1) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+        return headers;
+    }, {});
+}
+
+function _parseDisposition(header = '') {
+    const out = {};
+    const re = /;\s*([^=\s]+)="?([^";]*)"?/g;
+    let match;
+    while ((match = re.exec(header))) {
+        out[match[1].toLowerCase()] = match[2];
+    }
+    return out;
+}
+
+module.exports = parseMultipart;
+module.exports.parseMultipart = parseMultipart;
+module.exports.getBoundary = getBoundary;
@@ -0,0 +1,693 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const { URL } = require('url');
+const { extname } = require('path');
+const { pipeline } = require('stream');
+const sniff = require('../sniff');
+const encoding = require('../encoding');
+const { parseMultipart, getBoundary } = require('./multipart');
+const { OPERATORS } = require('../transforms');
+
+const DEFAULTS = {
+    /**
+     * Path where we mount our routes.
+     */
+    prefix: '/data',
+    /**
+     * Maximum size in bytes of an
+     * uploaded file.
+     */
+    bodyLimit: 50 * 1024 * 1024,
+    /**
+     * If set, only these entities can
+     * be imported or exported.
+     */
+    entities: undefined,
+    /**
+     * Middleware run before our routes,
+     * e.g. the app's authentication. Either
+     * a function or an array of functions
+     * with a `(req, res, next)` signature.
+     */
+    auth: undefined,
+    /**
+     * Called with the request and an object
+     * with `action` and `entity`. Return false,
+     * or a promise resolving to false, to
+     * reject the request with a 403.
+     * Actions are `import`, `export`, `jobs.read`
+     * and `jobs.cancel`.
+     */
+    authorize: undefined,
+    /**
+     * Routes are closed unless we have `auth`
+     * or `authorize`. Set to true to expose
+     * them without either, e.g. behind a
+     * private network.
+     */
+    public: false,
+    /**
+     * Import options clients can set on
+     * top of `IMPORT_OPTIONS`, e.g. `truncate`
+     * or `mirror`, and `EXPORT_OPTIONS` they
+     * can set. Other options are rejected
+     * with a 400.
+     */
+    allowOptions: [],
+    /**
+     * Allow `transforms` steps that load a
+     * module through the `pluginProvider`.
+     * Needs `transforms` in `allowOptions`.
+     */
+    allowPlugins: false,
+};
+
+/**
+ * Import options clients can always set.
+ */
+const IMPORT_OPTIONS = [
+    'dryRun',
+    'validate',
+    'type',
+    'delimiter',
+    'header',
+    'sheet',
+    'encoding',
+    'mapping',
+    'wait',
+];
+
+/**
+ * Export options clients can set only if
+ * they are in `allowOptions`, they update
+ * the stored watermark.
+ */
+const EXPORT_OPTIONS = ['incremental', 'destination'];
+
+/**
+ * Keys of a column mapping.
+ */
+const MAPPING_KEYS = ['rename', 'drop', 'defaults', 'coerce', 'types'];
+
+/**
+ * Query string keys that are not
+ * export criteria.
+ */
+const QUERY_KEYS = [
+    'type',
+    'criteria',
+    'populate',
+    'sort',
+    'skip',
+    'limit',
+    'incremental',
+    'destination',
+];
+
+const MIME_TYPES = {
+    json: 'application/json',
+    ndjson: 'application/x-ndjson',
+    jsonl: 'application/x-ndjson',
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    yaml: 'application/yaml',
+    yml: 'application/yaml',
+    xml: 'application/xml',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Create a request handler exposing import,
+ * export and job status routes:
+ *
+ * - `POST <prefix>/:entity/import`
+ * - `GET <prefix>/:entity/export`
+ * - `GET <prefix>/jobs`
+ * - `GET <prefix>/jobs/:id`
+ * - `DELETE <prefix>/jobs/:id`
+ *
+ * The handler has the `(req, res, next)`
+ * signature so it can be mounted on an
+ * express app, requests that don't match
+ * our routes are passed to `next`. It also
+ * works as a plain `http` request listener.
+ *
+ * @param {Manager} dataManager
+ * @param {Object} [options={}] See `DEFAULTS`
+ * @returns {Function}
+ */
+function createRouter(dataManager, options = {}) {
+    options = Object.assign({}, DEFAULTS, options);
+
+    const routes = [
+        { method: 'POST', path: /^\/([^/]+)\/import\/?$/, action: 'import', handler: handleImport },
+        { method: 'GET', path: /^\/([^/]+)\/export\/?$/, action: 'export', handler: handleExport },
+        { method: 'GET', path: /^\/jobs\/?$/, action: 'jobs.read', handler: handleListJobs },
+        { method: 'GET', path: /^\/jobs\/([^/]+)\/?$/, action: 'jobs.read', handler: handleGetJob },
+        { method: 'DELETE', path: /^\/jobs\/([^/]+)\/?$/, action: 'jobs.cancel', handler: handleCancelJob },
+    ];
+
+    const auth = [].concat(options.auth || []);
+
+    if (!auth.length && typeof options.authorize !== 'function' && options.public !== true) {
+        throw new Error('createRouter needs "auth" or "authorize", set "public: true" to expose routes without them');
+    }
+
+    return function dataManagerRouter(req, res, next) {
+        next = next || (_ => sendError(res, httpError(404, 'Not found', 'E_NOT_FOUND')));
+
+        const url = new URL(req.url, 'http://localhost');
+        const prefix = options.prefix.replace(/\/$/, '');
+
+        if (prefix && url.pathname.indexOf(prefix + '/') !== 0) return next();
+
+        const pathname = url.pathname.slice(prefix.length);
+
+        let params;
+        const route = routes.find(route => {
+            if (route.method !== req.method) return false;
+            params = route.path.exec(pathname);
+            return !!params;
+        });
+
+        if (!route) return next();
+
+        const context = {
+            dataManager,
+            options,
+            action: route.action,
+            query: _queryToObject(url.searchParams),
+        };
+
+        //Jobs routes match the job id
+        if (route.action === 'import' || route.action === 'export') {
+            context.entity = decodeURIComponent(params[1]);
+            if (options.entities && !options.entities.includes(context.entity)) return next();
+        } else if (params[1]) {
+            context.jobId = decodeURIComponent(params[1]);
+        }
+
+        runMiddleware(auth, req, res).then(_ => {
+            if (res.headersSent || res.writableEnded) return;
+
+            return authorize(req, context).then(_ => route.handler(req, res, context));
+        }).catch(err => sendError(res, err, dataManager.logger));
+    };
+}
+
+/**
+ * Import the uploaded file, either a multipart
+ * upload or the raw request body.
+ *
+ * Import options are read from the query string
+ * and multipart fields, an `options` field or
+ * parameter can hold them as JSON.
+ *
+ * By default we respond once the import is done,
+ * set `wait=false` to respond with a 202 and the
+ * job so the client can poll `jobs/:id`.
+ */
+function handleImport(req, res, context) {
+    const { dataManager } = context;
+
+    return Promise.all([
+        getModel(dataManager, context.entity),
+        readUpload(req, context.options),
+    ]).then(([_, upload]) => {
+        const importOptions = Object.assign(
+            _parseOptions(context.query),
+            _parseOptions(upload.fields)
+        );
+
+        checkImportOptions(importOptions, context.options);
+
+        const wait = importOptions.wait !== false;
+        delete importOptions.wait;
+
+        if (!upload.content || !upload.content.length) {
+            throw httpError(400, 'Missing file content', 'E_NO_CONTENT');
+        }
+
+        const type = getImportType(dataManager, upload, importOptions);
+
+        if (!type) {
+            throw httpError(415, 'Unable to detect the file type, set the "type" option', 'E_UNKNOWN_TYPE');
+        }
+
+        delete importOptions.type;
+
+        const promise = dataManager.importAsModels(context.entity, type, upload.content, importOptions);
+        const job = promise.job;
+
+        if (!wait) {
+            promise.catch(err => {
+                dataManager.logger.error('HTTP import %s failed: %s', job.id, err.message);
+            });
+            return send(res, 202, { job: job.toJSON() });
+        }
+
+        return promise.then(result => {
+            const errors = dataManager.consumeErrorsFor(context.entity, job.id);
+            const body = {
+                job: job.toJSON(),
+                errors: errors.map(serializeError),
+            };
+
+            if (result && typeof result.toJSON === 'function') body.report = result.toJSON();
+            if (result && result.mirror) body.mirror = result.mirror;
+
+            return send(res, 200, body);
+        }, err => {
+            dataManager.consumeErrorsFor(context.entity, job.id);
+            err.job = job;
+            return Promise.reject(err);
+        });
+    });
+}
+
+/**
+ * Export records matching the query string.
+ *
+ * Keys that are not export options are used
+ * as criteria, or pass `criteria` as JSON.
+ * `populate` is a comma separated list.
+ *
+ * Types with a stream exporter are streamed
+ * back paginating through the model.
+ */
+function handleExport(req, res, context) {
+    const { dataManager } = context;
+    const params = _parseOptions(context.query);
+    const type = params.type || 'json';
+
+    if (!dataManager.hasExporter(type) && !dataManager.hasStreamExporter(type)) {
+        return Promise.reject(httpError(400, `Unknown export type: ${type}`, 'E_UNKNOWN_TYPE'));
+    }
+
+    const query = buildExportQuery(params);
+    const exportOptions = getExportOptions(params, context.options);
+
+    return getModel(dataManager, context.entity).then(_ => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', MIME_TYPES[type] || 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${dataManager.createFileNameFor(context.entity, type)}"`);
+
+        if (dataManager.hasStreamExporter(type)) {
+            return dataManager.exportModelsStream(context.entity, query, type, exportOptions).then(output => {
+                return new Promise((resolve, reject) => {
+                    pipeline(output, res, err => {
+                        if (err && !res.headersSent) return reject(err);
+                        if (err) dataManager.logger.error('HTTP export %s failed: %s', context.entity, err.message);
+                        resolve();
+                    });
+                });
+            });
+        }
+
+        return dataManager.exportModels(context.entity, query, type, exportOptions).then(output => {
+            res.end(Buffer.isBuffer(output) ? output : String(output));
+        });
+    });
+}
+
+function handleListJobs(req, res, context) {
+    const jobs = context.dataManager.listJobs({
+        entity: context.query.entity,
+        status: context.query.status,
+    });
+    return send(res, 200, { jobs: jobs.map(job => job.toJSON()) });
+}
+
+function handleGetJob(req, res, context) {
+    const { dataManager } = context;
+    const job = dataManager.getJob(context.jobId);
+
+    if (!job) return Promise.reject(httpError(404, `Job not found: ${context.jobId}`, 'E_NOT_FOUND'));
+
+    /*
+     * Errors are not consumed, the import
+     * might still be running.
+     */
+    const errors = (dataManager.errors[job.entity] || []).filter(error => error.jobId === job.id);
+
+    return send(res, 200, { job: job.toJSON(), errors: errors.map(serializeError) });
+}
+
+function handleCancelJob(req, res, context) {
+    const { dataManager } = context;
+    const job = dataManager.getJob(context.jobId);
+
+    if (!job) return Promise.reject(httpError(404, `Job not found: ${context.jobId}`, 'E_NOT_FOUND'));
+
+    const cancelled = dataManager.cancel(job.id);
+
+    return send(res, cancelled ? 202 : 409, { cancelled, job: job.toJSON() });
+}
+
+/**
+ * Ensure clients only set options in
+ * `IMPORT_OPTIONS` or `allowOptions`.
+ *
+ * Mappings must be plain objects and, unless
+ * `allowPlugins` is set, transforms can only
+ * use built-in operators.
+ *
+ * @param {Object} importOptions
+ * @param {Object} options Router options
+ * @throws {Error} 400 `E_OPTION_NOT_ALLOWED`
+ */
+function checkImportOptions(importOptions, options = {}) {
+    const allowed = IMPORT_OPTIONS.concat(options.allowOptions || []);
+
+    const notAllowed = Object.keys(importOptions).filter(key => !allowed.includes(key));
+
+    if (notAllowed.length) {
+        throw httpError(400, `Import options not allowed: ${notAllowed.join(', ')}`, 'E_OPTION_NOT_ALLOWED');
+    }
+
+    const mapping = importOptions.mapping;
+
+    if (mapping !== undefined && (!_isPlainObject(mapping) ||
+            Object.keys(mapping).some(key => !MAPPING_KEYS.includes(key)))) {
+        throw httpError(400, `Invalid "mapping", expected an object with ${MAPPING_KEYS.join(', ')}`, 'E_BAD_REQUEST');
+    }
+
+    if (importOptions.transforms === undefined || options.allowPlugins) return;
+
+    const plugin = [].concat(importOptions.transforms).find(step => {
+        return typeof step === 'string' && !Object.prototype.hasOwnProperty.call(OPERATORS, step);
+    });
+
+    if (plugin !== undefined) {
+        throw httpError(400, `Transform step not allowed: ${plugin}`, 'E_OPTION_NOT_ALLOWED');
+    }
+}
+
+/**
+ * Pick `EXPORT_OPTIONS` from the query
+ * string parameters. Clients can only set
+ * the ones in `allowOptions`.
+ *
+ * @param {Object} params
+ * @param {Object} options Router options
+ * @returns {Object}
+ * @throws {Error} 400 `E_OPTION_NOT_ALLOWED`
+ */
+function getExportOptions(params = {}, options = {}) {
+    const allowed = options.allowOptions || [];
+    const exportOptions = {};
+
+    const notAllowed = EXPORT_OPTIONS.filter(key => {
+        return params[key] !== undefined && !allowed.includes(key);
+    });
+
+    if (notAllowed.length) {
+        throw httpError(400, `Export options not allowed: ${notAllowed.join(', ')}`, 'E_OPTION_NOT_ALLOWED');
+    }
+
+    EXPORT_OPTIONS.forEach(key => {
+        if (params[key] !== undefined) exportOptions[key] = params[key];
+    });
+
+    return exportOptions;
+}
+
+/**
+ * Map query string parameters to
+ * an export query.
+ * @param {Object} params
+ * @returns {Object}
+ */
+function buildExportQuery(params = {}) {
+    const query = {};
+
+    let criteria = params.criteria;
+
+    if (typeof criteria === 'string') {
+        throw httpError(400, 'Invalid "criteria", expected JSON', 'E_BAD_REQUEST');
+    }
+
+    criteria = Object.assign({}, criteria);
+
+    Object.keys(params).forEach(key => {
+        if (!QUERY_KEYS.includes(key)) criteria[key] = params[key];
+    });
+
+    if (Object.keys(criteria).length) query.criteria = criteria;
+
+    if (params.populate) {
+        query.populate = typeof params.populate === 'string' ?
+            params.populate.split(',').map(name => name.trim()) :
+            params.populate;
+    }
+
+    if (params.sort) query.sort = params.sort;
+
+    ['skip', 'limit'].forEach(key => {
+        if (params[key] === undefined) return;
+        const value = parseInt(params[key], 10);
+        if (isNaN(value) || value < 0) {
+            throw httpError(400, `Invalid "${key}", expected a positive integer`, 'E_BAD_REQUEST');
+        }
+        query[key] = value;
+    });
+
+    return query;
+}
+
+/**
+ * Resolve the import type from the options,
+ * the uploaded filename, the content type or
+ * by sniffing the content.
+ */
+function getImportType(dataManager, upload, options) {
+    if (options.type) return options.type;
+
+    if (upload.filename) {
+        let type = extname(upload.filename).replace('.', '');
+        if (dataManager.hasParser(type)) return type;
+    }
+
+    let mime = (upload.contentType || '').split(';')[0].trim().toLowerCase();
+    let type = Object.keys(MIME_TYPES).find(type => {
+        return MIME_TYPES[type] === mime && dataManager.hasParser(type);
+    });
+
+    if (type) return type;
+
+    const sample = upload.content.slice(0, sniff.SAMPLE_SIZE);
+    const complete = sample.length === upload.content.length;
+    const detected = sniff(encoding.decode(sample, options.encoding || 'auto'), complete, options);
+
+    if (!detected) return;
+
+    if (detected.delimiter && options.delimiter === undefined) options.delimiter = detected.delimiter;
+    if (detected.header !== undefined && options.header === undefined) options.header = detected.header;
+
+    return detected.type;
+}
+
+function getModel(dataManager, entity) {
+    return Promise.resolve().then(_ => dataManager.modelProvider(entity)).catch(_ => undefined).then(Model => {
+        if (!Model) throw httpError(404, `Entity not found: ${entity}`, 'E_NOT_FOUND');
+        return Model;
+    });
+}
+
+/**
+ * Read the uploaded file. We use the body
+ * if it was already parsed by a middleware,
+ * e.g. a raw body parser or multer.
+ * @returns {Promise<Object>} `{content, filename, contentType, fields}`
+ */
+function readUpload(req, options) {
+    const contentType = req.headers['content-type'] || '';
+
+    if (req.file && req.file.buffer) {
+        return Promise.resolve({
+            content: req.file.buffer,
+            filename: req.file.originalname,
+            contentType: req.file.mimetype,
+            fields: _isPlainObject(req.body) ? req.body : {},
+        });
+    }
+
+    if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+        return Promise.resolve(fromBody(Buffer.from(req.body), contentType));
+    }
+
+    return readBody(req, options.bodyLimit).then(body => fromBody(body, contentType));
+}
+
+function fromBody(body, contentType) {
+    const boundary = /^multipart\/form-data/i.test(contentType) ? getBoundary(contentType) : undefined;
+
+    if (!boundary) return { content: body, contentType, fields: {} };
+
+    const { fields, files } = parseMultipart(body, boundary);
+    const file = files.find(file => file.name === 'file') || files[0];
+
+    if (!file) return { content: undefined, fields };
+
+    return {
+        content: file.content,
+        filename: file.filename,
+        contentType: file.contentType,
+        fields,
+    };
+}
+
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                req.removeAllListeners('data');
+                req.resume();
+                return reject(httpError(413, `Body exceeds ${limit} bytes`, 'E_TOO_LARGE'));
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', _ => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function runMiddleware(middleware, req, res) {
+    return middleware.reduce((promise, fn) => {
+        return promise.then(_ => new Promise((resolve, reject) => {
+            if (res.writableEnded) return resolve();
+            /*
+             * Middleware that ends the response,
+             * e.g. a 401, does not call next.
+             */
+            res.once('finish', resolve);
+            fn(req, res, err => {
+                res.removeListener('finish', resolve);
+                if (err) reject(err);
+                else resolve();
+            });
+        }));
+    }, Promise.resolve());
+}
+
+function authorize(req, context) {
+    const fn = context.options.authorize;
+    if (typeof fn !== 'function') return Promise.resolve();
+
+    return Promise.resolve(fn(req, {
+        action: context.action,
+        entity: context.entity,
+        jobId: context.jobId,
+    })).then(allowed => {
+        if (allowed === false) throw httpError(403, 'Forbidden', 'E_FORBIDDEN');
+    });
+}
+
+function send(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Respond with `err`. Server errors might hold
+ * adapter messages or paths, so we log them and
+ * respond with a generic message.
+ * @param {http.ServerResponse} res
+ * @param {Error} err
+ * @param {Object} [logger]
+ */
+function sendError(res, err, logger) {
+    if (res.headersSent) {
+        res.destroy(err);
+        return;
+    }
+
+    const status = err.status || err.statusCode || (err.code === 'E_MIRROR_LIMIT' ? 409 : 500);
+    const body = {
+        error: {
+            message: err.message,
+            code: err.code,
+        },
+    };
+
+    if (status >= 500) {
+        if (logger) logger.error('HTTP request failed: %s', err.stack || err.message);
+        body.error.message = 'Internal server error';
+    }
+
+    if (err.job) body.job = err.job.toJSON();
+    if (status >= 500 && body.job && body.job.error) body.job.error.message = body.error.message;
+
+    send(res, status, body);
+}
+
+function httpError(status, message, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function serializeError(error = {}) {
+    return {
+        message: error.message,
+        code: error.code,
+        row: error.row,
+        line: error.line,
+        path: error.path,
+        rule: error.rule,
+        criteria: error.criteria,
+        updateStrategy: error.updateStrategy,
+    };
+}
+
+function _queryToObject(searchParams) {
+    const out = {};
+    for (const [key, value] of searchParams) out[key] = value;
+    return out;
+}
+
+/**
+ * Query string and form values are strings,
+ * we parse JSON values so that `dryRun=true`,
+ * `limit=10` or `mapping={...}` work.
+ * Values in `options` are merged in.
+ */
+function _parseOptions(params = {}) {
+    const out = {};
+
+    Object.keys(params).forEach(key => {
+        out[key] = _parseValue(params[key]);
+    });
+
+    if (_isPlainObject(out.options)) {
+        Object.assign(out, out.options);
+        delete out.options;
+    }
+
+    return out;
+}
+
+function _parseValue(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+function _isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+module.exports = createRouter;
+module.exports.createRouter = createRouter;
+module.exports.buildExportQuery = buildExportQuery;
+module.exports.checkImportOptions = checkImportOptions;
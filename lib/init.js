@@ -19,7 +19,32 @@ module.exports = function (app, config) {
 
             let dataManager = new Manager(config);
 
+            /*
+             * Dispatch files dropped in watched
+             * folders to our data.sync command.
+             */
+            dataManager.on('watch.file', event => {
+                app.emit('data.sync', event);
+            });
+
+            getWatchedOrigins(config).forEach(origin => {
+                dataManager.watch(origin, config[origin]);
+            });
+
             resolve(dataManager);
         });
     });
 };
+
+/**
+ * Origins with a `watch` config, i.e.
+ * `<moduleid>.<origin>.watch`.
+ * @param {Object} config
+ * @returns {Array}
+ */
+function getWatchedOrigins(config = {}) {
+    return Object.keys(config).filter(key => {
+        const value = config[key];
+        return value && typeof value === 'object' && value.watch && value.watch.path;
+    });
+}
@@ -0,0 +1,104 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+let counter = 0;
+
+/**
+ * Keeps track of a single call to
+ * `importAsModels` or `importFileAsModels`.
+ *
+ * Status goes from `pending` to `running` and
+ * then to `done`, `failed` or `cancelled`.
+ */
+class ImportJob {
+    constructor(entity, source = {}) {
+        this.id = `job_${entity}_${Date.now().toString(36)}_${(counter++).toString(36)}`;
+        this.entity = entity;
+        this.source = source;
+        this.status = 'pending';
+        this.startedAt = undefined;
+        this.endedAt = undefined;
+        this.processed = 0;
+        this.created = 0;
+        this.updated = 0;
+        this.upserted = 0;
+        this.failed = 0;
+        this.removed = 0;
+        this.unchanged = 0;
+        this.rejected = 0;
+        this.error = undefined;
+        this.cancelled = false;
+    }
+
+    get finished() {
+        return ['done', 'failed', 'cancelled'].includes(this.status);
+    }
+
+    get duration() {
+        if (!this.startedAt) return 0;
+        return (this.endedAt || new Date()) - this.startedAt;
+    }
+
+    start() {
+        this.status = 'running';
+        this.startedAt = new Date();
+    }
+
+    /**
+     * Update our counters.
+     * @param {Object} counts
+     */
+    update(counts = {}) {
+        ['created', 'updated', 'upserted', 'failed', 'removed', 'unchanged', 'rejected'].forEach(key => {
+            if (typeof counts[key] === 'number') this[key] = counts[key];
+        });
+        this.processed = this.created + this.updated + this.upserted + this.failed + this.unchanged + this.rejected;
+    }
+
+    /**
+     * Flag the job as cancelled. The import
+     * loop checks this flag before each record.
+     */
+    cancel() {
+        if (this.finished) return false;
+        this.cancelled = true;
+        return true;
+    }
+
+    finish() {
+        this.status = this.cancelled ? 'cancelled' : 'done';
+        this.endedAt = new Date();
+    }
+
+    fail(error) {
+        this.status = this.cancelled ? 'cancelled' : 'failed';
+        this.endedAt = new Date();
+        this.error = {
+            message: error && error.message,
+            code: error && error.code,
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            entity: this.entity,
+            source: this.source,
+            status: this.status,
+            startedAt: this.startedAt,
+            endedAt: this.endedAt,
+            duration: this.duration,
+            processed: this.processed,
+            created: this.created,
+            updated: this.updated,
+            upserted: this.upserted,
+            failed: this.failed,
+            removed: this.removed,
+            unchanged: this.unchanged,
+            rejected: this.rejected,
+            error: this.error,
+        };
+    }
+}
+
+module.exports = ImportJob;
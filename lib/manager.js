@@ -1,9 +1,11 @@
 'use strict';
 
 const fs = require('fs');
+const fsx = require('fs-extra');
 const extend = require('gextend');
 const { extname } = require('path');
 const EventEmitter = require('events');
+const { Readable, pipeline } = require('stream');
 
 const CSVParser = require('./parsers/csv');
 const CSVExporter = require('./exporters/csv');
@@ -11,6 +13,37 @@ const CSVExporter = require('./exporters/csv');
 const JSONParser = require('./parsers/json');
 const JSONExporter = require('./exporters/json');
 
+const NDJSONParser = require('./parsers/ndjson');
+const NDJSONExporter = require('./exporters/ndjson');
+
+const YAMLParser = require('./parsers/yaml');
+const YAMLExporter = require('./exporters/yaml');
+
+const XMLParser = require('./parsers/xml');
+const XMLExporter = require('./exporters/xml');
+
+const XLSXParser = require('./parsers/xlsx');
+const XLSXExporter = require('./exporters/xlsx');
+
+const { DryRunReport, diffRecords } = require('./dryrun');
+const RecordValidator = require('./validator');
+const ImportTransaction = require('./transaction');
+const ImportJob = require('./job');
+const EntityQueue = require('./queue');
+const applyMapping = require('./mapping');
+const TransformPipeline = require('./transforms');
+const { loadBundle, sortEntries, resolveKey, ReferenceMap } = require('./bundle');
+const sniff = require('./sniff');
+const encoding = require('./encoding');
+const { getAssociations, getReferenceColumns } = require('./associations');
+const { Watermark, FileWatermarkStore, MemoryWatermarkStore } = require('./watermark');
+const { FileAuditStore, MemoryAuditStore, createRun } = require('./audit');
+const { FileRowHashStore, MemoryRowHashStore, hashRecord, hashKey } = require('./rowhash');
+const { FileRetryStore, MemoryRetryStore, createEntry, failAttempt, isTransientError } = require('./retry');
+const DropFolderWatcher = require('./watcher');
+const { validationError, parseError } = require('./errors');
+const DataManagerError = require('./errors');
+
 const DEFAULTS = {
     autoinitialize: true,
     /**
@@ -34,7 +67,193 @@ const DEFAULTS = {
      * between each individual item we import.
      */
     delayBetweenItems: -1,
+    /**
+     * When importing in streaming mode we
+     * process records in chunks of this
+     * size. Only one chunk is held in
+     * memory at any given time.
+     */
+    streamBatchSize: 100,
+    /**
+     * Emit `import.progress` every time
+     * we process this many records.
+     */
+    progressInterval: 100,
+    /**
+     * Number of finished jobs we keep
+     * around. See `getJob`.
+     */
+    maxJobs: 100,
+    /**
+     * Column mappings for imported records,
+     * keyed by Model identity.
+     * See `lib/mapping.js`.
+     */
+    mappings: {},
+    /**
+     * Per-record transform steps for imported
+     * records, keyed by Model identity.
+     * See `lib/transforms.js`.
+     */
+    transforms: {},
+    /**
+     * Store for incremental export watermarks,
+     * any object with async `get(key)` and
+     * `set(key, value)`. If not set we use a
+     * JSON file at `watermarksPath`, or keep
+     * them in memory if that is not set either.
+     */
+    watermarkStore: undefined,
+    watermarksPath: undefined,
+    /**
+     * Store for the audit log of `data.sync`
+     * runs, any object with async `add(run)`,
+     * `get(id)` and `list(filter)`. If not set
+     * we append runs to the file at `auditPath`,
+     * or keep them in memory, keeping the last
+     * `auditMaxRuns` runs.
+     */
+    auditStore: undefined,
+    auditPath: undefined,
+    auditMaxRuns: 10000,
+    /**
+     * Store for row hashes used by `skipUnchanged`,
+     * any object with async `load(identity)` and
+     * `save(identity, hashes)`. If not set we use
+     * a JSON file per entity in `rowHashesPath`,
+     * or keep them in memory.
+     */
+    rowHashStore: undefined,
+    rowHashesPath: undefined,
+    /**
+     * Store for failed records, see `retryFailed`.
+     * Any object with async `load(identity)` and
+     * `save(identity, entries)`. If not set we use
+     * a JSON file per entity in `retriesPath`,
+     * or keep them in memory.
+     */
+    retryStore: undefined,
+    retriesPath: undefined,
+    exportOptions: {
+        /**
+         * Export models to file paginating
+         * through the model and streaming
+         * records to disk.
+         */
+        stream: false,
+        /**
+         * Number of records we retrieve per
+         * query when streaming exports.
+         */
+        pageSize: 500,
+        /**
+         * Attribute used to paginate using a
+         * cursor, e.g. `id`. If not set we
+         * paginate using skip/limit.
+         */
+        cursor: undefined,
+    },
     importOptions: {
+        /**
+         * Import files using a read stream
+         * instead of loading them in memory.
+         */
+        stream: false,
+        /**
+         * If false we do not keep a reference
+         * to imported records.
+         */
+        collect: true,
+        /**
+         * If true we do not write anything,
+         * instead we resolve with a report of
+         * what the import would do.
+         */
+        dryRun: false,
+        /**
+         * Validate records against the Model
+         * definition before we import them.
+         * Invalid records are skipped and
+         * reported as errors.
+         */
+        validate: false,
+        /**
+         * If true and any record is invalid
+         * we abort the import before writing.
+         */
+        strictValidation: false,
+        /**
+         * Resolve columns referencing related
+         * records, e.g. `owner.email`, to the
+         * related record's primary key.
+         */
+        resolveAssociations: true,
+        /**
+         * Create related records that we
+         * can't find while resolving
+         * associations.
+         */
+        createMissingAssociations: false,
+        /**
+         * All or nothing imports. We keep
+         * track of the rows we touch and
+         * restore them if we have more than
+         * `rollbackThreshold` errors.
+         */
+        transactional: false,
+        rollbackThreshold: 0,
+        /**
+         * Import records in batches of
+         * `batchSize` running up to
+         * `concurrency` upserts at a time.
+         */
+        batched: false,
+        batchSize: 100,
+        concurrency: 4,
+        /**
+         * Guess the file type from its content
+         * if the file has no extension or we
+         * have no parser for it.
+         */
+        sniff: true,
+        /**
+         * Encoding of imported files, e.g.
+         * `utf16le` or `latin1`. If `auto` we
+         * look for a BOM and guess otherwise.
+         */
+        encoding: 'auto',
+        /**
+         * Mirror the source: after importing, find
+         * stored records that are not in the source
+         * and `delete` them, `flag` them setting
+         * `mirrorField` to true, or just `report` them.
+         * We abort if more than `mirrorLimit` percent
+         * of the stored records would be removed.
+         */
+        mirror: false,
+        mirrorField: 'deleted',
+        mirrorLimit: 10,
+        /**
+         * Keep a hash of each imported record and
+         * skip records whose hash did not change
+         * since the last import.
+         */
+        skipUnchanged: false,
+        /**
+         * Retry operations failing with a transient
+         * error, e.g. `ECONNRESET`, up to `retries`
+         * times. We wait `retryDelay` milliseconds
+         * before the first retry and double it after
+         * each attempt.
+         */
+        retries: 0,
+        retryDelay: 500,
+        isTransientError: isTransientError,
+        /**
+         * Keep failed records in the retry store
+         * so they can be replayed with `retryFailed`.
+         */
+        retryFailed: false,
         truncate: false,
         identityFields: ['id', 'uuid'],
         strict: true,
@@ -54,6 +273,11 @@ const DEFAULTS = {
     }
 };
 
+/**
+ * Valid values for `options.mirror`.
+ */
+const MIRROR_MODES = ['delete', 'flag', 'report'];
+
 class Manager extends EventEmitter {
     constructor(config) {
         super();
@@ -64,18 +288,61 @@ class Manager extends EventEmitter {
 
     init(options) {
         this._parsers = {};
+        this._parserOptions = {};
         this._exporters = {};
+        this._streamParsers = {};
+        this._streamExporters = {};
         this._importingEntities = {};
+        this._importCounts = {};
+        this._jobs = new Map();
+        this._locks = new EntityQueue();
+        this._watchers = new Map();
 
         new CSVParser(this);
         new CSVExporter(this);
         new JSONParser(this);
         new JSONExporter(this);
+        new NDJSONParser(this);
+        new NDJSONExporter(this);
+        new YAMLParser(this);
+        new YAMLExporter(this);
+        new XMLParser(this);
+        new XMLExporter(this);
+        new XLSXParser(this);
+        new XLSXExporter(this);
 
         if (!options.logger) options.logger = console;
 
         extend(this, options);
 
+        /*
+         * We only write files to
+         * paths we were given.
+         */
+        if (!this.watermarkStore) {
+            this.watermarkStore = this.watermarksPath ?
+                new FileWatermarkStore(this.watermarksPath) :
+                new MemoryWatermarkStore();
+        }
+
+        if (!this.auditStore) {
+            this.auditStore = this.auditPath ?
+                new FileAuditStore(this.auditPath, { maxRuns: this.auditMaxRuns }) :
+                new MemoryAuditStore({ maxRuns: this.auditMaxRuns });
+        }
+
+        if (!this.rowHashStore) {
+            this.rowHashStore = this.rowHashesPath ?
+                new FileRowHashStore(this.rowHashesPath) :
+                new MemoryRowHashStore();
+        }
+
+        if (!this.retryStore) {
+            this.retryStore = this.retriesPath ?
+                new FileRetryStore(this.retriesPath) :
+                new MemoryRetryStore();
+        }
+
         this.errors = {};
     }
 
@@ -86,20 +353,156 @@ class Manager extends EventEmitter {
         this.errors[identity] = this.errors[identity].concat(errors);
     }
 
-    consumeErrorsFor(identity) {
+    /**
+     * Return and remove errors for `identity`.
+     * If `jobId` is given we only consume errors
+     * generated by that import job.
+     * @param {String} identity Model identity
+     * @param {String} [jobId]
+     * @returns {Array}
+     */
+    consumeErrorsFor(identity, jobId) {
         let errors = this.errors[identity] || [];
-        this.errors[identity] = [];
-        return errors;
+
+        if (!jobId) {
+            this.errors[identity] = [];
+            return errors;
+        }
+
+        this.errors[identity] = errors.filter(error => error.jobId !== jobId);
+        return errors.filter(error => error.jobId === jobId);
+    }
+
+    /**
+     * Run `fn` once no other exclusive task
+     * for `identity` is running.
+     *
+     * `strategy` defines what to do if we are
+     * busy: `queue`, `reject` or `coalesce`.
+     * See `EntityQueue`.
+     *
+     * @param {String} identity Model identity
+     * @param {Function} fn Returns a promise
+     * @param {String} [strategy=queue]
+     * @returns {Promise}
+     */
+    runExclusive(identity, fn, strategy = 'queue') {
+        return this._locks.run(identity, fn, strategy);
+    }
+
+    /**
+     * Returns true if an exclusive task for
+     * `identity` is running.
+     * @param {String} identity Model identity
+     * @returns {Boolean}
+     */
+    isLocked(identity) {
+        return this._locks.isBusy(identity);
     }
 
-    parser(type, handler) {
+    /**
+     * Register a parser for a given type.
+     *
+     * Parsers get file contents as a string, unless
+     * registered with `options.binary` in which case
+     * they get a Buffer.
+     *
+     * @param {String} type
+     * @param {Function} handler
+     * @param {Object} [options={}]
+     * @param {Boolean} [options.binary=false]
+     */
+    parser(type, handler, options = {}) {
         this._parsers[type] = handler;
+        this._parserOptions[type] = options;
+    }
+
+    /**
+     * Parsers call this for content they can't
+     * parse but can skip, e.g. an invalid line,
+     * instead of failing the whole import.
+     *
+     * The error is added to the import errors and
+     * we emit `parse.error`.
+     *
+     * @param {String} type Parser type
+     * @param {String} message
+     * @param {Object} details See `parseError`
+     * @param {Object} options Import options
+     * @returns {DataManagerError}
+     */
+    parseError(type, message, details = {}, options = {}) {
+        const identity = options.job ? options.job.entity : undefined;
+        const error = parseError(message, identity, details);
+
+        error.type = type;
+
+        if (Array.isArray(options.parseErrors)) options.parseErrors.push(error);
+        else this.logger.warn('%s parse error: %s', type, message);
+
+        this.emit('parse.error', error);
+
+        return error;
+    }
+
+    /**
+     * Register a stream parser for a given type.
+     * The handler gets called with a readable stream
+     * and the import options and should return an
+     * async iterable of records, e.g. an object mode
+     * stream.
+     *
+     * @param {String} type
+     * @param {Function} handler
+     */
+    streamParser(type, handler) {
+        this._streamParsers[type] = handler;
     }
 
     exporter(type, handler) {
         this._exporters[type] = handler;
     }
 
+    /**
+     * Register a stream exporter for a given type.
+     * The handler gets called with the export options
+     * and should return a transform stream that takes
+     * records and outputs serialized content.
+     *
+     * @param {String} type
+     * @param {Function} handler
+     */
+    streamExporter(type, handler) {
+        this._streamExporters[type] = handler;
+    }
+
+    /**
+     * Check if we have a parser for `type`.
+     * @param {String} type
+     * @returns {Boolean}
+     */
+    hasParser(type) {
+        return !!this._parsers[type];
+    }
+
+    /**
+     * Check if we have an exporter for `type`.
+     * @param {String} type
+     * @returns {Boolean}
+     */
+    hasExporter(type) {
+        return !!this._exporters[type];
+    }
+
+    /**
+     * Check if we have a stream exporter for `type`.
+     * @param {String} type
+     * @returns {Boolean}
+     */
+    hasStreamExporter(type) {
+        return !!this._streamExporters[type];
+    }
+
     export (type, records, options = {}) {
         if (!this._exporters[type]) return Promise.reject(new Error('No matching exporter found: ' + type));
         return Promise.resolve(this._exporters[type](records, options));
@@ -107,253 +510,2076 @@ class Manager extends EventEmitter {
 
     import (type, content, options = {}) {
 
-        if (!this._parsers[type]) {
-            throw new Error('No matching parser found: ' + type);
+        if (!this._parsers[type]) {
+            throw new Error('No matching parser found: ' + type);
+        }
+
+        return Promise.resolve(this._parsers[type](content, options)).then((results = []) => {
+
+            if (!Array.isArray(results)) {
+                if (typeof results === 'object') results = [results];
+                else throw new Error('Ensure imported content has right format.');
+            }
+
+            results.reverse();
+            results.map(res => this.emit('record.' + type, res));
+            this.emit('records.' + type, results);
+
+            return results;
+        });
+    }
+
+    importFile(filename, options = {}) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(filename, (err, content) => {
+                if (err) {
+                    this.logger.error('importFile %s error', filename);
+                    return reject(err);
+                }
+                let type = this._getFileType(filename, options);
+
+                if (this._shouldSniff(type, options)) {
+                    const detected = sniff(this._decode(undefined, content, options), true, options);
+                    if (detected) {
+                        options = this._withDetected(options, detected);
+                        type = detected.type;
+                    }
+                }
+
+                content = this._decode(type, content, options);
+
+                try {
+                    resolve(this.import(type, content, options));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    /**
+     * Create an async iterable of records from a
+     * file. If we have a stream parser for the
+     * file type records are parsed as they are read
+     * from disk, else we fall back to `importFile`.
+     *
+     * The file is opened when we start iterating,
+     * errors like an unknown type reject the first
+     * `next` call. The file is closed if we stop
+     * iterating early.
+     *
+     * @param {String} filename
+     * @param {Object} options
+     * @returns {AsyncIterable}
+     */
+    async *importFileStream(filename, options = {}) {
+        let type = this._getFileType(filename, options);
+
+        if (this._shouldSniff(type, options)) {
+            const detected = await this.detectFileType(filename, options);
+            yield* this.importFileStream(filename, this._withDetected(options, detected));
+            return;
+        }
+
+        if (!this._streamParsers[type]) {
+            if (!this._parsers[type]) {
+                throw new Error('No matching parser found: ' + type);
+            }
+
+            this.logger.warn('No stream parser for "%s", loading file in memory', type);
+
+            let records = fsx.readFile(filename).then(content => {
+                return this._parsers[type](this._decode(type, content, options), options);
+            });
+
+            yield* _iterateArray(records);
+            return;
+        }
+
+        const file = fs.createReadStream(filename);
+        let source = file;
+
+        if (!(this._parserOptions[type] || {}).binary) {
+            const decoder = encoding.decodeStream(this._getEncoding(options));
+            pipeline(file, decoder, err => {
+                if (err) decoder.destroy(err);
+            });
+            source = decoder;
+        }
+
+        try {
+            yield* this._streamParsers[type](source, options);
+        } finally {
+            file.destroy();
+        }
+    }
+
+    /**
+     * Import `content` as `identity` models.
+     *
+     * The returned promise has a `job` property
+     * holding the `ImportJob` for this import.
+     *
+     * @param {String} identity Model identity
+     * @param {String} type Content type
+     * @param {String|Object} content
+     * @param {Object} options Import options
+     * @returns {Promise<Array>}
+     */
+    importAsModels(identity, type, content, options = {}) {
+        return this._runJob(identity, { type }, options, options => {
+            if (Buffer.isBuffer(content)) content = this._decode(type, content, options);
+            return this.import(type, content, options).then(results => {
+                return this._importModel(identity, results, options);
+            });
+        });
+    }
+
+    /**
+     * Import the contents of `filename` as
+     * `identity` models.
+     *
+     * The returned promise has a `job` property
+     * holding the `ImportJob` for this import.
+     *
+     * If the file type was guessed from its content
+     * the result and the job source have a `detected`
+     * property with the `type` and `confidence`.
+     *
+     * @param {String} identity Model identity
+     * @param {String} filename
+     * @param {Object} options Import options
+     * @returns {Promise<Array>}
+     */
+    importFileAsModels(identity, filename, options = {}) {
+        const type = this._getFileType(filename, options);
+        return this._runJob(identity, { type, filename }, options, options => {
+            if (!this._shouldSniff(type, options)) {
+                return this._importFileAsModels(identity, filename, options);
+            }
+
+            let detected;
+
+            return this.detectFileType(filename, options).then(result => {
+                detected = result;
+                options.job.source.type = detected.type;
+                options.job.source.detected = detected;
+                options = this._withDetected(options, detected);
+                return this._importFileAsModels(identity, filename, options);
+            }).then(result => {
+                if (result) result.detected = detected;
+                return result;
+            });
+        });
+    }
+
+    /**
+     * Import several entities in one run.
+     * See `lib/bundle.js` for the bundle format.
+     *
+     * Entities are imported one at a time, after the
+     * entities they reference through `model` attributes
+     * in their definition. Values like `@org:acme` are
+     * replaced with the id of the record imported earlier
+     * for the entity with `ref` `org` and `acme` as the
+     * value of its `key` field.
+     *
+     * Resolves to `{order, entities, references}`, where
+     * `entities` holds the `job`, `records` or dry run
+     * `report`, `errors` and `rejected` records of each
+     * entity. If an import fails we stop and reject with
+     * an `E_BUNDLE` error with the `results` so far.
+     *
+     * @param {String|Object} bundle Filename or bundle
+     * @param {Object} [options={}] Import options for all entities
+     * @param {Object} options.entities Per entity `key`, `ref` and `options`
+     * @returns {Promise<Object>}
+     */
+    importBundle(bundle, options = {}) {
+        options = Object.assign({}, options);
+
+        const config = options.entities || {};
+        delete options.entities;
+
+        const results = { order: [], entities: {}, references: undefined };
+
+        return loadBundle(bundle, config).then(entries => {
+            return Promise.all(entries.map(entry => this.modelProvider(entry.identity))).then(list => {
+                const Models = {};
+
+                entries.forEach((entry, index) => {
+                    if (!list[index]) throw new Error(`Model not found: ${entry.identity}`);
+                    Models[entry.identity] = list[index];
+                    entry.key = resolveKey(entry, list[index]);
+                });
+
+                entries = sortEntries(entries, Models);
+
+                results.order = entries.map(entry => entry.identity);
+                results.references = new ReferenceMap(entries);
+
+                return entries.reduce((promise, entry) => promise.then(_ => {
+                    return this._importBundleEntry(entry, Models[entry.identity], options, results);
+                }), Promise.resolve());
+            });
+        }).then(_ => results);
+    }
+
+    _importBundleEntry(entry, Model, options, results) {
+        const identity = entry.identity;
+        const references = results.references;
+
+        /*
+         * We need the imported records to
+         * register their ids.
+         */
+        const entryOptions = extend({}, options, entry.options, { collect: true });
+        const dryRun = extend({}, this.importOptions, entryOptions).dryRun;
+
+        const steps = entryOptions.transforms || (this.transforms || {})[identity] || [];
+        entryOptions.transforms = [references.step(dryRun)].concat(steps);
+
+        const promise = entry.file ?
+            this.importFileAsModels(identity, entry.file, entryOptions) :
+            this.importAsModels(identity, 'json', entry.records.slice(), entryOptions);
+
+        const job = promise.job;
+
+        return promise.then(output => {
+            const errors = this.consumeErrorsFor(identity, job.id);
+
+            if (dryRun) {
+                results.entities[identity] = { job, report: output, errors, rejected: output.rejected };
+                return;
+            }
+
+            references.add(entry, output, Model.primaryKey || 'id');
+
+            results.entities[identity] = { job, records: output, errors, rejected: output.rejected || [] };
+        }, err => {
+            this.consumeErrorsFor(identity, job.id);
+
+            let error = new DataManagerError(`Bundle import failed for ${identity}: ${err.message}`, identity, 'bundle', undefined, err);
+            error.code = 'E_BUNDLE';
+            error.job = job;
+            error.results = results;
+
+            return Promise.reject(error);
+        });
+    }
+
+    _importFileAsModels(identity, filename, options = {}) {
+        if (_useStream(this.importOptions, options)) {
+            let type = this._getFileType(filename, options);
+
+            const run = _ => {
+                let records = this.importFileStream(filename, options);
+                return this._importModelStream(identity, type, records, options);
+            };
+
+            /*
+             * We can't hold the whole file in memory, so in
+             * order to abort before writing anything we do
+             * a validation pass first.
+             */
+            let o = extend({}, this.importOptions, options);
+            if (!o.validate || !o.strictValidation || o.dryRun) return run();
+
+            return this.validateFile(identity, filename, options).then(errors => {
+                if (errors.length) throw _strictValidationError(identity, errors);
+                return run();
+            });
+        }
+
+        return this.importFile(filename, options).then(results => {
+            return this._importModel(identity, results, options);
+        });
+    }
+
+    /**
+     * Validate all records in a file without
+     * importing them. The file is streamed.
+     *
+     * @param {String} identity Model identity
+     * @param {String} filename
+     * @param {Object} options Import options
+     * @returns {Promise<Array>} Validation errors
+     */
+    async validateFile(identity, filename, options = {}) {
+        options = extend({}, this.importOptions, options);
+
+        const Model = await this.modelProvider(identity);
+        if (!Model) throw new Error('Model not found');
+
+        const validator = new RecordValidator(Model, identity);
+        const records = this.importFileStream(filename, options);
+        const batchSize = options.streamBatchSize || this.streamBatchSize;
+
+        /*
+         * Resolve associations as a dry run, we don't
+         * want to create missing related records.
+         */
+        const resolveOptions = extend({}, options, { dryRun: true });
+
+        let parseErrors = [];
+        options.parseErrors = parseErrors;
+
+        let state = this._createImportState(identity, {}, Model);
+        let errors = [];
+
+        for await (let batch of _batches(records, batchSize)) {
+            batch.reverse();
+            batch = await this._prepareRecords(Model, identity, batch, options, state);
+            batch = await this._resolveAssociations(Model, identity, batch, resolveOptions, state);
+
+            for (let i = batch.length - 1; i >= 0; i--) {
+                let record = _makeDefaultAttributes(Model, batch[i]);
+                errors = errors.concat(validator.validate(record, state.rowNumbers.get(record)));
+            }
+        }
+
+        return parseErrors.concat(state.invalid, errors);
+    }
+
+    /**
+     * Binary parsers get the raw Buffer,
+     * else we convert content to a string
+     * using `options.encoding` and remove
+     * the BOM.
+     * @param {String} type
+     * @param {Buffer} content
+     * @param {Object} options
+     * @returns {String|Buffer}
+     */
+    _decode(type, content, options = {}) {
+        const parserOptions = this._parserOptions[type] || {};
+        if (parserOptions.binary) return content;
+        return encoding.decode(content, this._getEncoding(options));
+    }
+
+    _getEncoding(options = {}) {
+        return options.encoding || this.importOptions.encoding || 'auto';
+    }
+
+    _getFileType(filename, options = {}) {
+        if (options && options.type) return options.type;
+        return extname(filename).replace('.', '');
+    }
+
+    /**
+     * Guess the type of `filename` from the first
+     * bytes of its content. See `lib/sniff.js`.
+     *
+     * Resolves to an object with `type` and
+     * `confidence`, and for delimited files
+     * `delimiter` and `header`.
+     *
+     * @param {String} filename
+     * @param {Object} [options={}]
+     * @returns {Promise<Object>}
+     */
+    async detectFileType(filename, options = {}) {
+        const buffer = Buffer.alloc(sniff.SAMPLE_SIZE);
+        const fd = await fsx.open(filename, 'r');
+
+        let bytesRead;
+
+        try {
+            ({ bytesRead } = await fsx.read(fd, buffer, 0, buffer.length, 0));
+        } finally {
+            await fsx.close(fd);
+        }
+
+        const sample = encoding.decode(buffer.slice(0, bytesRead), this._getEncoding(options));
+        const detected = sniff(sample, bytesRead < buffer.length, options);
+
+        if (!detected) throw new Error('Unable to detect file type: ' + filename);
+
+        this.logger.info('Detected %s as %s (%s)', filename, detected.type, detected.confidence);
+
+        return detected;
+    }
+
+    /**
+     * We only sniff if we don't have a
+     * parser for the file type.
+     * @param {String} type
+     * @param {Object} options
+     * @returns {Boolean}
+     */
+    _shouldSniff(type, options = {}) {
+        if (options.type || this._parsers[type] || this._streamParsers[type]) return false;
+        return extend({}, this.importOptions, options).sniff !== false;
+    }
+
+    /**
+     * Parser options for a detected type. Options
+     * set by the caller take precedence.
+     * @param {Object} options
+     * @param {Object} detected
+     * @returns {Object}
+     */
+    _withDetected(options = {}, detected = {}) {
+        let out = Object.assign({}, options, { type: detected.type });
+        if (detected.delimiter && out.delimiter === undefined) out.delimiter = detected.delimiter;
+        if (detected.header !== undefined && out.header === undefined) out.header = detected.header;
+        return out;
+    }
+
+    /**
+     * Get an import job by id.
+     * @param {String} jobId
+     * @returns {ImportJob|undefined}
+     */
+    getJob(jobId) {
+        return this._jobs.get(jobId);
+    }
+
+    /**
+     * List import jobs, optionally filtered
+     * by `entity` or `status`.
+     * @param {Object} [filter={}]
+     * @returns {Array}
+     */
+    listJobs(filter = {}) {
+        return Array.from(this._jobs.values()).filter(job => {
+            if (filter.entity && job.entity !== filter.entity) return false;
+            if (filter.status && job.status !== filter.status) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Cancel a running import. We stop before
+     * importing the next record. Transactional
+     * imports are rolled back.
+     * @param {String} jobId
+     * @returns {Boolean} True if the job was cancelled
+     */
+    cancel(jobId) {
+        const job = this.getJob(jobId);
+        if (!job) return false;
+        return job.cancel();
+    }
+
+    /**
+     * Create and register a job and run `fn`
+     * with the import options.
+     *
+     * Emits `import.progress`, `import.done` or
+     * `import.failed` with the job.
+     *
+     * @param {String} identity Model identity
+     * @param {Object} source Import source
+     * @param {Object} options Import options
+     * @param {Function} fn Import function
+     * @returns {Promise}
+     */
+    _runJob(identity, source, options = {}, fn) {
+        const job = new ImportJob(identity, source);
+
+        this._addJob(job);
+
+        options = extend({}, options, { job, parseErrors: [] });
+
+        job.start();
+        this.emit('import.progress', job);
+
+        let promise = Promise.resolve().then(_ => fn(options)).then(result => {
+            job.finish();
+            this.emit('import.done', job);
+            return result;
+        }, err => {
+            job.fail(err);
+            this.emit('import.failed', job, err);
+            return Promise.reject(err);
+        });
+
+        promise.job = job;
+
+        return promise;
+    }
+
+    _addJob(job) {
+        this._jobs.set(job.id, job);
+
+        let finished = this.listJobs().filter(job => job.finished);
+
+        while (finished.length > this.maxJobs) {
+            this._jobs.delete(finished.shift().id);
+        }
+    }
+
+    /**
+     * Update counters of our job and emit
+     * `import.progress` every `progressInterval`
+     * records.
+     * @param {Object} state Import state
+     * @param {Boolean} [force=false] Emit regardless of interval
+     */
+    _reportProgress(state, force = false) {
+        const job = state.job;
+        if (!job) return;
+
+        const report = state.report;
+
+        if (report) {
+            job.update({
+                created: report.created.length,
+                updated: report.updated.length + report.unchanged.length,
+                failed: report.failed.length,
+                rejected: report.rejected.length,
+            });
+        } else {
+            job.update(Object.assign({ failed: state.errors.length }, state.stats));
+        }
+
+        if (!force && job.processed - state.lastProgress < this.progressInterval) return;
+
+        state.lastProgress = job.processed;
+        this.emit('import.progress', job);
+    }
+
+    /**
+     * Add a `data.sync` run to the audit log.
+     * Emits `sync.run` with the stored run.
+     * @param {Object} details See `lib/audit.js`
+     * @returns {Promise<Object>} The stored run
+     */
+    recordRun(details = {}) {
+        const run = createRun(details);
+        return Promise.resolve(this.auditStore.add(run)).then(_ => {
+            this.emit('sync.run', run);
+            return run;
+        });
+    }
+
+    /**
+     * Get a `data.sync` run by id.
+     * @param {String} runId
+     * @returns {Promise<Object|undefined>}
+     */
+    getRun(runId) {
+        return Promise.resolve(this.auditStore.get(runId));
+    }
+
+    /**
+     * List `data.sync` runs, most recent first,
+     * optionally filtered by `entity`, `origin`,
+     * `status`, `checksum` or `since` a date.
+     * Use `limit` to get the last N runs.
+     * @param {Object} [filter={}]
+     * @returns {Promise<Array>}
+     */
+    listRuns(filter = {}) {
+        return Promise.resolve(this.auditStore.list(filter));
+    }
+
+    /**
+     * Watch the drop folder of an origin.
+     * Emits `watch.file` with a `data.sync`
+     * event for each file ready to import.
+     *
+     * `config` is the origin config, i.e.
+     * `<moduleid>.<origin>`, with a `watch`
+     * object. See `lib/watcher.js`.
+     *
+     * @param {String} origin
+     * @param {Object} config
+     * @param {Object} config.watch
+     * @param {String} config.watch.path
+     * @param {Object} config.watch.entities
+     * @returns {DropFolderWatcher}
+     */
+    watch(origin, config = {}) {
+        this.unwatch(origin);
+
+        const watcher = new DropFolderWatcher(Object.assign({
+            origin,
+            errorsPath: config.errorsPath,
+            historyPath: config.historyPath,
+            moveAfterDone: config.moveAfterDone,
+        }, config.watch));
+
+        watcher.on('file', event => {
+            this.logger.info('watch %s: %s ready for %s', origin, event.filepath, event.entity);
+            this.emit('watch.file', event);
+        });
+
+        watcher.on('error', err => {
+            this.logger.warn('watch %s error: %s', origin, err.message);
+        });
+
+        this._watchers.set(origin, watcher);
+
+        return watcher.start();
+    }
+
+    /**
+     * Stop watching the drop folder of
+     * `origin`, or all of them.
+     * @param {String} [origin]
+     */
+    unwatch(origin) {
+        const origins = origin ? [origin] : Array.from(this._watchers.keys());
+        origins.forEach(origin => {
+            const watcher = this._watchers.get(origin);
+            if (!watcher) return;
+            watcher.close();
+            this._watchers.delete(origin);
+        });
+    }
+
+    /**
+     * Returns a list of identities for the Models
+     * currently being imported.
+     * @returns {Array}
+     */
+    currentlyBeingImported() {
+        return Object.keys(this._importingEntities).reduce((acc, key) => {
+            if (this._importingEntities[key]) acc.push(key);
+            return acc;
+        }, []);
+    }
+
+    /**
+     * Returns true if we are currently importing a model.
+     * @returns {Boolean}
+     */
+    get importing() {
+        return !!Object.values(this._importingEntities).find(e => e === true);
+    }
+
+    /**
+     * We might be importing the same entity more
+     * than once at the same time, so we keep a
+     * count of imports per entity.
+     * @param {String} identity Model identity
+     * @param {Boolean} importing
+     */
+    _importingEntity(identity, importing = true) {
+        if (!this._importingEntities) this._importingEntities = {};
+        if (!this._importCounts) this._importCounts = {};
+
+        let count = (this._importCounts[identity] || 0) + (importing ? 1 : -1);
+        this._importCounts[identity] = Math.max(0, count);
+
+        this._importingEntities[identity] = this._importCounts[identity] > 0;
+    }
+
+    _importModel(identity, items, options = {}) {
+        options = extend({}, this.importOptions, options);
+
+        if (!items) items = [];
+        if (typeof items === 'object' && !Array.isArray(items)) items = [items];
+
+        //A simple boolean flag is not enough, we want to manage
+        //multiple entities being imported at the same time.
+        this._importingEntity(identity);
+
+        let state;
+
+        return this.modelProvider(identity).then(Model => {
+            if (!Model) return Promise.reject(new Error('Model not found'));
+
+            state = this._createImportState(identity, options, Model);
+
+            return this._prepareRecords(Model, identity, items, options, state).then(items => {
+                return this._resolveAssociations(Model, identity, items, options, state);
+            }).then(items => {
+                items = this._validateRecords(Model, identity, items, options, state);
+
+                if (state.invalid.length && options.strictValidation && !options.dryRun) {
+                    return Promise.reject(_strictValidationError(identity, state.invalid));
+                }
+
+                return this._beforeImport(Model, options, state).then(_ => {
+                    return this._importRecords(Model, identity, items, options, state);
+                }).then(state => this._mirror(Model, identity, options, state))
+                    .then(state => this._commit(identity, state))
+                    .then(state => this._saveRowHashes(identity, options, state))
+                    .then(state => this._saveRetries(Model, identity, options, state));
+            });
+        }).then(state => {
+            this._importingEntity(identity, false);
+            return this._afterImport(identity, state);
+        }, err => this._rollbackOnError(identity, state, err).catch(err => {
+            this._importingEntity(identity, false);
+            return Promise.reject(err);
+        }));
+    }
+
+    _createImportState(identity, options = {}, Model) {
+        /*
+         * Parse errors are collected as we read the
+         * source so we share the same list.
+         */
+        let state = {
+            identity,
+            output: [],
+            errors: options.parseErrors || [],
+            invalid: [],
+            imported: 0,
+            rows: 0,
+            rowNumbers: new WeakMap(),
+            associations: new Map(),
+            stats: { created: 0, updated: 0, upserted: 0, unchanged: 0, rejected: 0 },
+            rejected: [],
+            job: options.job,
+            lastProgress: 0,
+        };
+
+        /*
+         * Fail before we write anything
+         * if the mode is not valid.
+         */
+        if (options.mirror && !MIRROR_MODES.includes(options.mirror)) {
+            throw new Error(`Unknown mirror mode: ${options.mirror}`);
+        }
+
+        if (options.mirror && !options.truncate) {
+            state.matched = new Set();
+        }
+
+        /*
+         * Hashes of the source records, stored hashes
+         * are loaded in `_beforeImport`.
+         */
+        if (options.skipUnchanged) {
+            state.rowHashes = new WeakMap();
+        }
+
+        if (options.dryRun) {
+            state.report = new DryRunReport(identity, options.updateMethod);
+        }
+
+        if (options.validate && Model) {
+            state.validator = new RecordValidator(Model, identity);
+        }
+
+        if (options.transactional && !options.dryRun && Model) {
+            state.transaction = new ImportTransaction(Model, identity, options);
+        }
+
+        return state;
+    }
+
+    /**
+     * Replace columns referencing related records,
+     * e.g. `owner.email`, with the primary key of the
+     * related record found through `modelProvider`.
+     *
+     * If we can't find the related record we create it
+     * when `createMissingAssociations` is set, else the
+     * record fails and is skipped. On dry runs we
+     * leave the lookup criteria as the value.
+     *
+     * Lookups are cached in `state.associations`.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Array} records In reverse order
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise<Array>} Resolved records
+     */
+    async _resolveAssociations(Model, identity, records, options, state) {
+        if (!options.resolveAssociations) return records;
+
+        const associations = getAssociations(Model);
+        if (Object.keys(associations).length === 0) return records;
+
+        let resolved = [];
+
+        for (let i = records.length - 1; i >= 0; i--) {
+            let record = records[i];
+            let row = state.rowNumbers.get(record);
+            let columns = getReferenceColumns(associations, record);
+            let failed;
+
+            for (const reference of columns) {
+                let value = record[reference.column];
+                delete record[reference.column];
+
+                if (value === undefined || value === null || value === '') continue;
+
+                try {
+                    let values = reference.collection ? [].concat(value) : [value];
+                    let ids = [];
+
+                    for (const v of values) {
+                        ids.push(await this._resolveReference(reference, v, options, state));
+                    }
+
+                    record[reference.attribute] = reference.collection ? ids : ids[0];
+                } catch (err) {
+                    failed = validationError(`Row ${row}: ${err.message}`, identity, {
+                        row,
+                        path: reference.column,
+                        rule: 'association',
+                        record,
+                    });
+                    break;
+                }
+            }
+
+            if (!failed) {
+                resolved.push(record);
+                continue;
+            }
+
+            state.invalid.push(failed);
+
+            if (state.report) state.report.fail(record, undefined, failed);
+            else state.errors.push(failed);
+        }
+
+        return resolved.reverse();
+    }
+
+    async _resolveReference(reference, value, options, state) {
+        const key = `${reference.identity}|${reference.field}|${value}`;
+
+        if (state.associations.has(key)) return state.associations.get(key);
+
+        const Related = await this.modelProvider(reference.identity);
+        if (!Related) throw new Error(`Model not found: ${reference.identity}`);
+
+        const primaryKey = Related.primaryKey || 'id';
+
+        let criteria = {};
+        criteria[reference.field] = value;
+
+        let found = await Related.find(criteria);
+        let id;
+
+        if (found && found.length > 1) {
+            throw new Error(`"${reference.column}" matches ${found.length} ${reference.identity} records`);
+        }
+
+        if (found && found.length === 1) {
+            id = found[0][primaryKey];
+        } else if (!options.createMissingAssociations) {
+            throw new Error(`"${reference.column}" not found: ${value}`);
+        } else if (options.dryRun) {
+            if (state.report) state.report.relate(reference.identity, criteria);
+            id = criteria;
+        } else {
+            let created = await Related.create(criteria);
+            id = created[primaryKey];
+        }
+
+        state.associations.set(key, id);
+
+        return id;
+    }
+
+    /**
+     * Validate records and filter out the invalid
+     * ones. Errors are collected in `state.invalid`
+     * and added to the import errors, or to the
+     * report if this is a dry run.
+     *
+     * Records are in reverse order, the last item
+     * is the first row.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Array} records
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Array} Valid records
+     */
+    _validateRecords(Model, identity, records, options, state) {
+        if (!state.validator) return records;
+
+        let valid = [];
+        let record, errors;
+
+        for (let i = records.length - 1; i >= 0; i--) {
+            record = _makeDefaultAttributes(Model, records[i]);
+            errors = state.validator.validate(record, state.rowNumbers.get(record));
+
+            if (errors.length === 0) {
+                valid.push(record);
+                continue;
+            }
+
+            state.invalid = state.invalid.concat(errors);
+
+            if (state.report) state.report.fail(record, undefined, errors[0], errors);
+            else errors.forEach(error => state.errors.push(error));
+        }
+
+        return valid.reverse();
+    }
+
+    /**
+     * Called once we have our Model and before
+     * we import any record.
+     * @param {Object} Model Waterline collection
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise}
+     */
+    _beforeImport(Model, options, state) {
+        let promise = Promise.resolve(state);
+
+        /*
+         * Mirror imports need the number of records
+         * before we import to apply `mirrorLimit`.
+         */
+        if (state.matched && typeof Model.count === 'function') {
+            promise = promise.then(_ => Model.count({})).then(count => {
+                state.storedBefore = count;
+                return state;
+            });
+        }
+
+        /*
+         * When truncating we import all records
+         * and start with no hashes.
+         */
+        if (state.rowHashes) {
+            promise = promise.then(_ => {
+                if (options.truncate) return {};
+                return this.rowHashStore.load(state.identity);
+            }).then(hashes => {
+                state.hashes = hashes || {};
+                return state;
+            });
+        }
+
+        if (!options.truncate) return promise;
+
+        return promise.then(_ => this._truncate(Model, options, state));
+    }
+
+    _truncate(Model, options, state) {
+        if (options.dryRun) {
+            state.report.truncate = true;
+            if (typeof Model.count !== 'function') return Promise.resolve(state);
+            return Model.count({}).then(count => {
+                state.report.destroyed = count;
+                return state;
+            });
+        }
+
+        /*
+         * Transactional imports keep stored rows
+         * until we commit, see `ImportTransaction`.
+         */
+        if (state.transaction) {
+            return state.transaction.stage().then(_ => state);
+        }
+
+        return Model.destroy({}).then(_ => state);
+    }
+
+    /**
+     * For transactional imports, rollback if we
+     * have more errors than `rollbackThreshold`.
+     * The promise is rejected with a `DataManagerError`
+     * with code `E_ROLLBACK` holding our `errors`.
+     * Otherwise we commit, removing the rows a
+     * staged truncate did not touch.
+     *
+     * @param {String} identity Model identity
+     * @param {Object} state Import state
+     * @returns {Promise<Object>} Resolves to `state`
+     */
+    _commit(identity, state) {
+        const transaction = state.transaction;
+        const cancelled = !!state.job && state.job.cancelled;
+
+        if (!transaction) return Promise.resolve(state);
+
+        if (!(cancelled || transaction.exceeded(state.errors.length))) {
+            return transaction.commit().then(removed => {
+                if (removed && state.job) state.job.update({ removed });
+                return state;
+            });
+        }
+
+        this.logger.warn('Import for %s failed with %s error(s), rolling back.', identity, state.errors.length);
+
+        return transaction.rollback().then(_ => {
+            let reason = cancelled ? 'cancelled' : `${state.errors.length} error(s)`;
+            let message = `Import for ${identity} rolled back: ${reason}`;
+            let error = new DataManagerError(message, identity, 'rollback');
+            error.code = 'E_ROLLBACK';
+            error.errors = state.errors;
+            return Promise.reject(error);
+        }, err => {
+            this.logger.error('Rollback for %s failed: %s', identity, err.message);
+            err.errors = state.errors;
+            return Promise.reject(err);
+        });
+    }
+
+    /**
+     * Rollback a transactional import that failed
+     * with an error we did not handle, e.g. a parse
+     * or adapter error. Always rejects with `err`.
+     *
+     * Transactions already committed or rolled
+     * back are left as they are.
+     *
+     * @param {String} identity Model identity
+     * @param {Object} [state] Import state
+     * @param {Error} err
+     * @returns {Promise}
+     */
+    _rollbackOnError(identity, state, err) {
+        const transaction = state && state.transaction;
+
+        if (!transaction || transaction.closed) return Promise.reject(err);
+
+        this.logger.warn('Import for %s failed with "%s", rolling back.', identity, err.message);
+
+        return transaction.rollback().catch(error => {
+            this.logger.error('Rollback for %s failed: %s', identity, error.message);
+        }).then(_ => Promise.reject(err));
+    }
+
+    /**
+     * For mirror imports, find stored records that
+     * were not matched by any record in the source and
+     * remove them according to `options.mirror`:
+     * - `delete`: destroy them
+     * - `flag`: set `options.mirrorField` to true
+     * - `report`: leave them as they are
+     *
+     * We only look at records not already flagged.
+     * If the import had errors we can't tell which
+     * records are missing so we skip this step.
+     *
+     * If more than `options.mirrorLimit` percent of the
+     * stored records would be removed the promise is
+     * rejected with a `DataManagerError` with code
+     * `E_MIRROR_LIMIT`. Transactional imports are
+     * rolled back.
+     *
+     * The outcome is stored in `state.mirror`.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise<Object>} Resolves to `state`
+     */
+    async _mirror(Model, identity, options, state) {
+        if (!state.matched) return state;
+
+        const mode = options.mirror;
+        const field = options.mirrorField;
+
+        const failed = state.errors.length + (state.report ? state.report.failed.length : 0);
+
+        if (state.aborted || failed) {
+            this.logger.warn('Import for %s had errors, skipping mirror step.', identity);
+            state.mirror = { mode, skipped: true, missing: [], removed: 0 };
+            return state;
+        }
+
+        const pk = Model.primaryKey || 'id';
+        const pageSize = this.exportOptions.pageSize || 500;
+
+        let stored = 0;
+        let flagged = 0;
+        let missing = [];
+
+        for (let skip = 0; ; skip += pageSize) {
+            let records = await this._buildQuery(Model, {
+                sort: _defaultSort(Model),
+                skip,
+                limit: pageSize,
+            });
+
+            if (!records || records.length === 0) break;
+
+            records.forEach(record => {
+                if (mode === 'flag' && record[field] === true) return flagged++;
+                stored++;
+                if (!state.matched.has(String(record[pk]))) missing.push(record);
+            });
+
+            if (records.length < pageSize) break;
+        }
+
+        /*
+         * Records created by this import were
+         * not there before.
+         */
+        let total = stored - (state.report ? 0 : state.stats.created);
+        if (state.storedBefore !== undefined) total = state.storedBefore - flagged;
+        total = Math.max(0, total);
+        const percent = total ? missing.length * 100 / total : 0;
+
+        state.mirror = { mode, total, missing, removed: 0 };
+
+        if (state.report) {
+            missing.forEach(record => state.report.remove(record));
+        }
+
+        if (percent > options.mirrorLimit) {
+            let message = `Mirror import for ${identity} would remove ${missing.length} of ${total} records`;
+            let error = new DataManagerError(message, identity, 'mirror');
+            error.code = 'E_MIRROR_LIMIT';
+            error.missing = missing;
+
+            if (state.report) {
+                state.report.fail(undefined, undefined, error);
+                return state;
+            }
+
+            if (state.transaction) await state.transaction.rollback();
+
+            throw error;
+        }
+
+        if (state.report || mode === 'report') return state;
+
+        for (const record of missing) {
+            let criteria = { [pk]: record[pk] };
+
+            try {
+                if (mode === 'delete') await Model.destroy(criteria);
+                else await Model.update(criteria, { [field]: true });
+                if (state.transaction) state.transaction.track([record]);
+                state.mirror.removed++;
+            } catch (err) {
+                state.errors.push(this.wrapError(record, identity, mode, criteria, err));
+            }
+        }
+
+        if (state.job) state.job.update({ removed: state.mirror.removed });
+
+        return state;
+    }
+
+    /**
+     * Called after all records have been processed.
+     * Resolves with the imported records, or with
+     * a `DryRunReport` for dry runs.
+     * @param {String} identity Model identity
+     * @param {Object} state Import state
+     * @returns {Array|DryRunReport}
+     */
+    _afterImport(identity, state) {
+        this._reportProgress(state, true);
+
+        if (state.report) {
+            state.errors.forEach(error => state.report.fail(error.record, undefined, error));
+            return state.report;
+        }
+
+        if (state.errors && state.errors.length) {
+            if (state.job) state.errors.forEach(error => error.jobId = state.job.id);
+            this.addErrors(identity, state.errors);
+        }
+
+        if (state.mirror) state.output.mirror = state.mirror;
+
+        if (state.rejected.length) state.output.rejected = state.rejected;
+
+        return state.output;
+    }
+
+    /**
+     * Import records coming from an async iterable, e.g.
+     * the output of `importFileStream`.
+     *
+     * Records are collected in chunks of `streamBatchSize`
+     * and each chunk goes through `_prepareRecords` and
+     * `_importRecords` before we read more records from
+     * the source. This way we keep memory bounded.
+     *
+     * We emit `record.<type>` for each record and
+     * `records.<type>` for each chunk.
+     *
+     * If `options.collect` is `false` we do not keep
+     * imported records and resolve with an empty array.
+     * Use this for very large files.
+     *
+     * @param {String} identity Model identity
+     * @param {String} type Source type
+     * @param {AsyncIterable} records
+     * @param {Object} options
+     * @returns {Promise<Array>}
+     */
+    async _importModelStream(identity, type, records, options = {}) {
+        options = extend({}, this.importOptions, options);
+
+        const batchSize = options.streamBatchSize || this.streamBatchSize;
+
+        this._importingEntity(identity);
+
+        let state;
+
+        const flush = async (Model, batch) => {
+            batch.forEach(record => this.emit('record.' + type, record));
+
+            batch.reverse();
+            this.emit('records.' + type, batch);
+
+            batch = await this._prepareRecords(Model, identity, batch, options, state);
+            batch = await this._resolveAssociations(Model, identity, batch, options, state);
+            batch = this._validateRecords(Model, identity, batch, options, state);
+
+            await this._importRecords(Model, identity, batch, options, state);
+        };
+
+        try {
+            const Model = await this.modelProvider(identity);
+            if (!Model) throw new Error('Model not found');
+
+            state = this._createImportState(identity, options, Model);
+
+            await this._beforeImport(Model, options, state);
+
+            for await (const batch of _batches(records, batchSize)) {
+                await flush(Model, batch);
+                if (state.aborted) break;
+            }
+
+            await this._mirror(Model, identity, options, state);
+            await this._commit(identity, state);
+            await this._saveRowHashes(identity, options, state);
+            await this._saveRetries(Model, identity, options, state);
+        } catch (err) {
+            await this._rollbackOnError(identity, state, err);
+        } finally {
+            this._importingEntity(identity, false);
+        }
+
+        return this._afterImport(identity, state);
+    }
+
+    /**
+     * Upsert records, one by one or in batches
+     * if `options.batched` is set.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Array} records Records to import, processed from last to first
+     * @param {Object} options Import options
+     * @param {Object} state
+     * @param {Array} state.output Imported records
+     * @param {Array} state.errors Errors for failed records
+     * @param {Number} state.imported Count of imported records
+     * @returns {Promise<Object>} Resolves to `state`
+     */
+    _importRecords(Model, identity, records, options, state = {}) {
+        if (!state.output) state.output = [];
+        if (!state.errors) state.errors = [];
+        if (!state.imported) state.imported = 0;
+
+        if (options.batched) {
+            return this._importRecordsBatched(Model, identity, records, options, state);
+        }
+
+        return this._importRecordsSequential(Model, identity, records, options, state);
+    }
+
+    async _importRecordsSequential(Model, identity, records, options, state) {
+        let record, operation;
+
+        while ((record = records.pop())) {
+            /*
+             * No point going on if we are going
+             * to rollback anyways.
+             */
+            if (_shouldAbort(state)) {
+                state.aborted = true;
+                break;
+            }
+
+            operation = this._createOperation(Model, identity, record, options, state);
+
+            if (!operation) continue;
+
+            /*
+             * Dry runs only read from the database,
+             * no need to throttle them.
+             */
+            if (!options.dryRun) {
+                /**
+                 * If we have a cool off period after importing X
+                 * items then we do delay.
+                 */
+                if (_itemTriggersBatchDelay(options, state.imported)) {
+                    this.logger.info('Cooling off period, waiting for ', options.delayAfterItemBatch);
+                    await delay(options.delayAfterItemBatch);
+                }
+
+                /**
+                 * We can introduce a wait period between each
+                 * individual.
+                 */
+                if (options.delayBetweenItems > 0) {
+                    await delay(options.delayBetweenItems);
+                }
+            }
+
+            await this._runOperation(Model, identity, operation, options, state);
+        }
+
+        return state;
+    }
+
+    /**
+     * Import records in batches of `options.batchSize`.
+     *
+     * If we are creating records and the Model has
+     * a `createEach` method we use it, else we run up
+     * to `options.concurrency` upserts in parallel.
+     * Records sharing an identity value are imported
+     * sequentially and in order.
+     *
+     * Throttling is applied between batches: we wait
+     * `delayBetweenItems` before each batch and
+     * `delayAfterItemBatch` every time we import
+     * `numberOfItemsBeforeDelay` records.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Array} records Records to import, processed from last to first
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise<Object>} Resolves to `state`
+     */
+    async _importRecordsBatched(Model, identity, records, options, state) {
+        const batchSize = Math.max(1, options.batchSize || 1);
+        const concurrency = Math.max(1, options.concurrency || 1);
+
+        const run = operation => {
+            if (_shouldAbort(state)) {
+                state.aborted = true;
+                return Promise.resolve();
+            }
+            return this._runOperation(Model, identity, operation, options, state);
+        };
+
+        while (records.length) {
+            if (_shouldAbort(state)) {
+                state.aborted = true;
+                break;
+            }
+
+            let batch = records.splice(-batchSize).reverse();
+
+            let operations = batch.map(record => {
+                return this._createOperation(Model, identity, record, options, state);
+            }).filter(Boolean);
+
+            if (!options.dryRun) {
+                if (_batchTriggersDelay(options, state.lastDelayedAt, state.imported)) {
+                    state.lastDelayedAt = state.imported;
+                    this.logger.info('Cooling off period, waiting for ', options.delayAfterItemBatch);
+                    await delay(options.delayAfterItemBatch);
+                }
+
+                if (options.delayBetweenItems > 0) {
+                    await delay(options.delayBetweenItems);
+                }
+            }
+
+            if (this._canCreateEach(Model, operations, options, state)) {
+                await this._createEach(Model, identity, operations, options, state);
+                continue;
+            }
+
+            const chains = _chainByIdentity(operations);
+
+            await _pool(chains, concurrency, async chain => {
+                for (const operation of chain) await run(operation);
+            });
+        }
+
+        return state;
+    }
+
+    _canCreateEach(Model, operations, options, state) {
+        if (options.dryRun || state.transaction) return false;
+        if (typeof Model.createEach !== 'function') return false;
+        return operations.length > 0 && operations.every(op => op.updateStrategy === 'create');
+    }
+
+    /**
+     * Create a batch of records using `Model.createEach`.
+     * If the bulk insert fails we import each record
+     * individually to find out which ones failed.
+     */
+    _createEach(Model, identity, operations, options, state) {
+        const records = operations.map(op => op.record);
+
+        return Promise.resolve(Model.createEach(records)).then((created = []) => {
+            state.imported += records.length;
+            state.stats.created += records.length;
+            this._trackMatched(Model, state, created);
+            operations.forEach((operation, i) => this._storeHash(Model, state, operation.hash, created[i]));
+            this._reportProgress(state);
+            if (options.collect !== false) {
+                created.forEach(record => state.output.push(record));
+            }
+        }).catch(err => {
+            this.logger.warn('%s.createEach failed: %s. Importing records one by one.', identity, err.message);
+            return operations.reduce((promise, operation) => {
+                return promise.then(_ => this._runOperation(Model, identity, operation, options, state));
+            }, Promise.resolve());
+        });
+    }
+
+    /**
+     * Build the upsert operation for a record.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Object} record
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Object|undefined} `{record, criteria, updateStrategy, args}`
+     */
+    _createOperation(Model, identity, record, options, state) {
+        let _logger = this.logger;
+
+        /*
+         * Make a copy of options, we might
+         * need to modify them.
+         * Same thing with `method`.
+         */
+        let o = extend({}, options);
+
+        /*
+         * Staged truncates keep stored rows
+         * so we upsert them.
+         */
+        if (o.truncate && state.transaction) {
+            o.truncate = false;
+            o.updateMethod = 'updateOrCreate';
+        }
+
+        let updateStrategy = o.truncate ? 'create' : o.updateMethod;
+
+        /*
+         * Call all defined `defaultsTo` that
+         * are not present in our record.
+         * This is good so we get closer
+         * behavior to `Model.create`.
+         * Also, if some of those fields are
+         * unique then we ensure we can do
+         * a `updateOrCreate`.
+         */
+        record = _makeDefaultAttributes(Model, record);
+
+        /*
+         * Currently we are retrieving all identity fields
+         * and querying multiple keys, e.g.:
+         * {id:<v>, uuid:<v>, email: <v>}
+         *
+         * This might not be effective and also it
+         * might not be what we want.
+         *
+         * Since using ID's can be problematic due to
+         * casting (any field for that matter) we might
+         * want to have more control in a case by case
+         * basis.
+         */
+        let identityFields = options.identityFields.concat();
+        identityFields = options.getIdentityFields(Model, record, identityFields);
+        _logger.debug('%s identity fields: %j', identity, identityFields);
+
+        /*
+         * A model's identityFields are all
+         * unique attributes. If we are updating
+         * a record, we might have changed one of
+         * those before- e.g. email.
+         * We use an `or` query to get around
+         * this.
+         */
+        let criteria;
+        try {
+            criteria = this.buildCriteria(Model, record, identityFields);
+        } catch (err) {
+            if (!options.dryRun) throw err;
+            state.report.fail(record, criteria, err);
+            return;
+        }
+
+        /*
+         * We need to have a way to perform a
+         * updateOrCreate;
+         */
+        if (_emptyCriteria(criteria)) {
+            _logger.warn('We dont have a criteria...');
+            _logger.warn('%j', Object.keys(Model.attributes));
+            _logger.warn('Model keys: %j', Object.keys(Model));
+            //TODO: Not sure if this is the best way to go along?
+            if (o.truncate) {
+                o.truncate = false;
+                updateStrategy = 'create';
+            }
+        }
+
+        let args = o.truncate ? [record] : [criteria, record];
+
+        let hash;
+        if (state.hashes && !_emptyCriteria(criteria)) {
+            hash = { key: hashKey(criteria), value: state.rowHashes.get(record) };
+            if (this._skipUnchanged(Model, record, criteria, hash, state)) return;
+        }
+
+        return { record, criteria, updateStrategy, args, hash };
+    }
+
+    /**
+     * Skip a record if its hash matches the
+     * one we stored last time we imported it.
+     * @param {Object} Model Waterline collection
+     * @param {Object} record
+     * @param {Object} criteria
+     * @param {Object} hash `{key, value}`
+     * @param {Object} state Import state
+     * @returns {Boolean} True if skipped
+     */
+    _skipUnchanged(Model, record, criteria, hash, state) {
+        const stored = state.hashes[hash.key];
+        if (!stored || !hash.value || stored.hash !== hash.value) return false;
+
+        state.stats.unchanged++;
+
+        /*
+         * The record is still in the source,
+         * mirror imports should not remove it.
+         */
+        this._trackMatched(Model, state, { [Model.primaryKey || 'id']: stored.id });
+
+        if (state.report) state.report.update(record, criteria, undefined, {});
+
+        this._reportProgress(state);
+
+        return true;
+    }
+
+    /**
+     * Store the hash of an imported record.
+     * @param {Object} Model Waterline collection
+     * @param {Object} state Import state
+     * @param {Object} hash `{key, value}`
+     * @param {Object|Array} output Imported record
+     */
+    _storeHash(Model, state, hash, output) {
+        if (!hash || !hash.value) return;
+        const record = [].concat(output || [])[0] || {};
+        state.hashes[hash.key] = { hash: hash.value, id: record[Model.primaryKey || 'id'] };
+    }
+
+    /**
+     * Persist row hashes once the import
+     * has been committed.
+     * @param {String} identity Model identity
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise<Object>} Resolves to `state`
+     */
+    _saveRowHashes(identity, options, state) {
+        if (!state.hashes || options.dryRun) return Promise.resolve(state);
+        return Promise.resolve(this.rowHashStore.save(identity, state.hashes)).then(_ => state);
+    }
+
+    /**
+     * Run an upsert operation. Errors are
+     * collected in `state.errors`, the promise
+     * always resolves.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Object} operation Output of `_createOperation`
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise}
+     */
+    async _runOperation(Model, identity, operation, options, state) {
+        const { record, criteria, updateStrategy, args } = operation;
+        const transaction = state.transaction;
+        const _logger = this.logger;
+
+        if (options.dryRun) {
+            let stored = await this._previewRecord(Model, updateStrategy, criteria, record, state.report);
+            this._trackMatched(Model, state, stored);
+            return this._reportProgress(state);
+        }
+
+        let before;
+        if (transaction && updateStrategy !== 'create') {
+            try {
+                before = await transaction.snapshot(criteria);
+            } catch (err) {
+                state.errors.push(this.wrapError(record, identity, 'snapshot', criteria, err));
+                return this._reportProgress(state);
+            }
+        }
+
+        try {
+            let output = await this._withRetries(options, _ => Model[updateStrategy].apply(Model, args));
+            if (transaction) transaction.track(before, output);
+            this._trackMatched(Model, state, output);
+            this._storeHash(Model, state, operation.hash, output);
+            state.imported++;
+            state.stats[_upsertOutcome(updateStrategy, before, output)]++;
+            if (options.collect !== false) state.output.push(output);
+        } catch (err) {
+            let errorMessage = [
+                '_importModel.iterate error',
+                '%s.%s failed: %s',
+                'DataManager does not know what to do with this error.',
+                'They will be bubbled up, you should handle them.',
+                'The record being processed:',
+                '%j',
+            ].join('\n');
+
+            _logger.error(errorMessage, identity, updateStrategy, err.message && err.message.toString(), record);
+            _logger.info('Query was:');
+            _logger.info('%s.%s(%j, %j)', identity, updateStrategy, criteria, record);
+
+            state.errors.push(this.wrapError(record, identity, updateStrategy, criteria, err));
+        }
+
+        this._reportProgress(state);
+    }
+
+    /**
+     * Call `fn` retrying up to `options.retries`
+     * times if it fails with a transient error.
+     * @param {Object} options Import options
+     * @param {Function} fn
+     * @returns {Promise}
+     */
+    async _withRetries(options, fn) {
+        const retries = options.retries || 0;
+        const isTransient = options.isTransientError || isTransientError;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (err) {
+                if (attempt >= retries || !isTransient(err)) throw err;
+                let wait = (options.retryDelay || 0) * Math.pow(2, attempt);
+                this.logger.warn('Transient error: %s. Retrying in %sms.', err.message, wait);
+                await delay(wait);
+            }
+        }
+    }
+
+    /**
+     * Add records that failed to the retry store
+     * if `options.retryFailed` is set.
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise<Object>} Resolves to `state`
+     */
+    _saveRetries(Model, identity, options, state) {
+        if (!options.retryFailed || options.dryRun) return Promise.resolve(state);
+
+        const entries = state.errors.filter(error => error.record).map(error => {
+            if (state.job) error.jobId = state.job.id;
+            let updateStrategy = error.updateStrategy;
+            if (typeof Model[updateStrategy] !== 'function') updateStrategy = options.updateMethod;
+            return createEntry(error, updateStrategy);
+        });
+
+        if (!entries.length) return Promise.resolve(state);
+
+        return Promise.resolve(this.retryStore.load(identity)).then((stored = []) => {
+            return this.retryStore.save(identity, stored.concat(entries));
+        }).then(_ => state);
+    }
+
+    /**
+     * List failed records in the retry store.
+     * @param {String} identity Model identity
+     * @returns {Promise<Array>}
+     */
+    listRetries(identity) {
+        return Promise.resolve(this.retryStore.load(identity)).then(entries => entries || []);
+    }
+
+    /**
+     * Replay failed records of `identity` from the
+     * retry store. Records that succeed are removed
+     * from the store, records that fail again are
+     * scheduled for later with exponential backoff.
+     *
+     * Only entries due for a retry are replayed
+     * unless `options.force` is set or we get
+     * a list of `options.ids`.
+     *
+     * `options.patch` can be an object merged into
+     * each record, or a function, or the path to a
+     * module exporting one, called with the record
+     * and the entry which returns the patched record.
+     *
+     * @param {String} identity Model identity
+     * @param {Object} options Import options
+     * @param {Object|Function|String} options.patch
+     * @param {Array} options.ids Entry ids to replay
+     * @param {Boolean} options.force Ignore backoff
+     * @returns {Promise<Object>} `{identity, retried, succeeded, failed, remaining}`
+     */
+    async retryFailed(identity, options = {}) {
+        options = extend({}, this.importOptions, options, { dryRun: false });
+
+        const Model = await this.modelProvider(identity);
+        if (!Model) throw new Error('Model not found');
+
+        let patch = options.patch;
+        if (typeof patch === 'string') patch = this.pluginProvider(patch);
+
+        const now = Date.now();
+        const entries = (await this.retryStore.load(identity)) || [];
+
+        const selected = entries.filter(entry => {
+            if (Array.isArray(options.ids)) return options.ids.includes(entry.id);
+            return options.force || new Date(entry.nextRetryAt).getTime() <= now;
+        });
+
+        const state = this._createImportState(identity, {}, Model);
+
+        let result = {
+            identity,
+            retried: selected.length,
+            succeeded: [],
+            failed: [],
+        };
+
+        for (const entry of selected) {
+            let failed = state.errors.length;
+
+            try {
+                let operation = await this._createRetryOperation(Model, entry, patch, options);
+                await this._runOperation(Model, identity, operation, options, state);
+            } catch (err) {
+                state.errors.push(this.wrapError(entry.record, identity, entry.updateStrategy, entry.criteria, err));
+            }
+
+            if (state.errors.length > failed) {
+                failAttempt(entry, state.errors[state.errors.length - 1]);
+                result.failed.push(entry);
+            } else {
+                result.succeeded.push(entry);
+            }
+        }
+
+        const remaining = entries.filter(entry => !result.succeeded.includes(entry));
+        await this.retryStore.save(identity, remaining);
+
+        result.remaining = remaining.length;
+        result.errors = state.errors;
+
+        return result;
+    }
+
+    async _createRetryOperation(Model, entry, patch, options) {
+        let record = Object.assign({}, entry.record);
+        let criteria = entry.criteria;
+
+        if (patch) {
+            if (typeof patch === 'function') record = await patch(record, entry);
+            else record = Object.assign(record, patch);
+
+            /*
+             * Patches might change identity fields.
+             */
+            let identityFields = options.getIdentityFields(Model, record, options.identityFields.concat());
+            criteria = this.buildCriteria(Model, record, identityFields);
+        }
+
+        const updateStrategy = entry.updateStrategy || options.updateMethod;
+        const args = updateStrategy === 'create' ? [record] : [criteria, record];
+
+        return { record, criteria, updateStrategy, args };
+    }
+
+    /**
+     * Find out what would happen if we were to
+     * import `record` and add it to `report`.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} updateStrategy Model method we would call
+     * @param {Object} criteria
+     * @param {Object} record
+     * @param {DryRunReport} report
+     * @returns {Promise<Object|undefined>} Resolves to the stored record
+     */
+    _previewRecord(Model, updateStrategy, criteria, record, report) {
+        if (updateStrategy === 'create') {
+            report.create(record, criteria);
+            return Promise.resolve();
+        }
+
+        if (_emptyCriteria(criteria)) {
+            report.fail(record, criteria, new Error('Unable to find record, empty criteria'));
+            return Promise.resolve();
         }
 
-        return Promise.resolve(this._parsers[type](content, options)).then((results = []) => {
+        return Promise.resolve(Model.find(criteria)).then((found = []) => {
+            if (found.length === 0) return report.create(record, criteria);
 
-            if (!Array.isArray(results)) {
-                if (typeof results === 'object') results = [results];
-                else throw new Error('Ensure imported content has right format.');
+            if (found.length > 1) {
+                let error = new Error(`Criteria matches ${found.length} records`);
+                return report.fail(record, criteria, error);
             }
 
-            results.reverse();
-            results.map(res => this.emit('record.' + type, res));
-            this.emit('records.' + type, results);
+            let stored = found[0];
+            report.update(record, criteria, stored, diffRecords(Model, stored, record));
+            return stored;
+        }).catch(err => {
+            report.fail(record, criteria, err);
+        });
+    }
 
-            return results;
+    /**
+     * Keep track of the primary keys of stored
+     * records matched by the source, for mirror
+     * imports.
+     * @param {Object} Model Waterline collection
+     * @param {Object} state Import state
+     * @param {Object|Array} records
+     */
+    _trackMatched(Model, state, records) {
+        if (!state.matched) return;
+        const pk = Model.primaryKey || 'id';
+        [].concat(records || []).forEach(record => {
+            if (record && record[pk] !== undefined) state.matched.add(String(record[pk]));
         });
     }
 
-    importFile(filename, options = {}) {
-        return new Promise((resolve, reject) => {
-            fs.readFile(filename, (err, content) => {
-                if (err) {
-                    this.logger.error('importFile %s error', filename);
-                    return reject(err);
-                }
-                content = content.toString();
+    /**
+     * Export models matching `query`.
+     *
+     * If `options.incremental` is set we only export
+     * records changed since the last export to the
+     * same `options.destination`, see `_createWatermark`.
+     *
+     * @param {String} identity Model identity
+     * @param {Object} query
+     * @param {String} type Exporter type
+     * @param {Object} options
+     * @returns {Promise}
+     */
+    exportModels(identity, query = {}, type = 'json', options = {}) {
 
-                let type = extname(filename).replace('.', '');
+        return this.modelProvider(identity).then(Model => {
+            if (!Model) return Promise.reject(new Error('Model not found'));
 
-                if (options && options.type) type = options.type;
+            options = extend({ identity }, options);
 
-                try {
-                    resolve(this.import(type, content, options));
-                } catch (e) {
-                    reject(e);
-                }
+            if (!options.associations) {
+                options.associations = Object.keys(getAssociations(Model));
+            }
+
+            return this._createWatermark(identity, type, options).then(watermark => {
+                if (watermark) query = watermark.apply(query);
+
+                var orm = this._buildQuery(Model, query);
+
+                return orm.then(models => {
+                    if (watermark) {
+                        models = models.filter(model => watermark.accepts(model));
+                        models.forEach(model => watermark.track(model));
+                    }
+                    return this.export(type, models, options);
+                }).then(output => {
+                    /*
+                     * If the caller gave us the watermark
+                     * they save it, e.g. after writing.
+                     */
+                    if (!watermark || options.watermark) return output;
+                    return watermark.save().then(_ => output);
+                });
             });
         });
     }
 
-    importAsModels(identity, type, content, options = {}) {
-        return this.import(type, content, options).then(results => {
-            return this._importModel(identity, results, options);
-        });
-    }
+    /**
+     * Load the watermark for an incremental export.
+     *
+     * `options.incremental` is the attribute we use to
+     * find changed records, e.g. `updatedAt` or `id`;
+     * `true` means `updatedAt`. Watermarks are stored
+     * per entity and `options.destination`, which
+     * defaults to the export type.
+     *
+     * If `options.watermark` is set we use it.
+     *
+     * @param {String} identity Model identity
+     * @param {String} type Exporter type
+     * @param {Object} options Export options
+     * @returns {Promise<Watermark|undefined>}
+     */
+    _createWatermark(identity, type, options = {}) {
+        if (options.watermark) return Promise.resolve(options.watermark);
+        if (!options.incremental) return Promise.resolve();
 
-    importFileAsModels(identity, filename, options) {
-        return this.importFile(filename, options).then(results => {
-            return this._importModel(identity, results, options);
+        const field = options.incremental === true ? 'updatedAt' : options.incremental;
+        const destination = options.destination || type;
+
+        return this.modelProvider(identity).then(Model => {
+            const primaryKey = (Model && Model.primaryKey) || 'id';
+            return new Watermark(this.watermarkStore, identity, destination, field, primaryKey).load();
         });
     }
 
     /**
-     * Returns a list of identities for the Models
-     * currently being imported.
-     * @returns {Array}
+     * Get the stored watermark for exports
+     * of `identity` to `destination`.
+     * @param {String} identity Model identity
+     * @param {String} destination
+     * @returns {Promise} Resolves to the highest exported value
      */
-    currentlyBeingImported() {
-        return Object.keys(this._importingEntities).reduce((acc, key) => {
-            if (this._importingEntities[key]) acc.push(key);
-            return acc;
-        }, []);
+    getWatermark(identity, destination) {
+        return Promise.resolve(this.watermarkStore.get(`${identity}:${destination}`)).then(stored => {
+            return Watermark.parse(stored).value;
+        });
     }
 
     /**
-     * Returns true if we are currently importing a model.
-     * @returns {Boolean}
+     * Remove the watermark so the next
+     * incremental export includes all records.
+     * @param {String} identity Model identity
+     * @param {String} destination
+     * @returns {Promise}
      */
-    get importing() {
-        return !!Object.values(this._importingEntities).find(e => e === true);
-    }
-
-    _importingEntity(identity, importing = true) {
-        if (!this._importingEntities) this._importingEntities = {};
-        this._importingEntities[identity] = importing;
+    resetWatermark(identity, destination) {
+        return Promise.resolve(this.watermarkStore.set(`${identity}:${destination}`, undefined));
     }
 
-    _importModel(identity, items, options = {}) {
-        options = extend({}, this.importOptions, options);
-
-        if (!items) items = [];
-        if (typeof items === 'object' && !Array.isArray(items)) items = [items];
-
-        items = this._applyTransform(identity, items, options);
+    /**
+     * Create a readable stream with the serialized
+     * output of all records matching `query`.
+     *
+     * We paginate through the model using
+     * `options.pageSize` records per query.
+     * If `options.cursor` is set we use that
+     * attribute to paginate instead of skip.
+     *
+     * Emits `export.progress` after each page
+     * with the number of exported records.
+     *
+     * @param {String} identity Model identity
+     * @param {Object} query
+     * @param {String} type Exporter type
+     * @param {Object} options
+     * @returns {Promise<stream.Readable>}
+     */
+    exportModelsStream(identity, query = {}, type = 'json', options = {}) {
+        if (!this._streamExporters[type]) {
+            return Promise.reject(new Error('No matching stream exporter found: ' + type));
+        }
 
-        let self = this;
-        let _logger = this.logger;
+        options = extend({}, this.exportOptions, options);
 
-        //A simple boolean flag is not enough, we want to manage
-        //multiple entities being imported at the same time.
-        this._importingEntity(identity);
+        const original = options.watermark;
 
         return this.modelProvider(identity).then(Model => {
             if (!Model) return Promise.reject(new Error('Model not found'));
 
-            let method = options.truncate ? 'create' : options.updateMethod;
+            if (!options.identity) options.identity = identity;
 
-            async function iterate(records, options, output = [], errors = []) {
-                let record = records.pop();
+            if (!options.associations) {
+                options.associations = Object.keys(getAssociations(Model));
+            }
 
-                if (!record) {
-                    if (errors && errors.length) self.addErrors(identity, errors);
-                    self._importingEntity(identity, false);
-                    return Promise.resolve(output);
+            return this._createWatermark(identity, type, options).then(watermark => {
+                if (watermark) {
+                    query = watermark.apply(query);
+                    options.watermark = watermark;
                 }
 
-                /*
-                 * Make a copy of options, we might
-                 * need to modify them.
-                 * Same thing with `method`.
-                 */
-                let o = extend({}, options);
-                let updateStrategy = method;
-
-                /*
-                 * Call all defined `defaultsTo` that
-                 * are not present in our record.
-                 * This is good so we get closer
-                 * behavior to `Model.create`.
-                 * Also, if some of those fields are
-                 * unique then we ensure we can do
-                 * a `updateOrCreate`.
-                 */
-                record = _makeDefaultAttributes(Model, record);
-
-                /*
-                 * Currently we are retrieving all identity fields
-                 * and querying multiple keys, e.g.:
-                 * {id:<v>, uuid:<v>, email: <v>}
-                 *
-                 * This might not be effective and also it
-                 * might not be what we want.
-                 *
-                 * Since using ID's can be problematic due to
-                 * casting (any field for that matter) we might
-                 * want to have more control in a case by case
-                 * basis.
-                 */
-                let identityFields = options.identityFields.concat();
-                identityFields = options.getIdentityFields(Model, record, identityFields);
+                const records = Readable.from(this._paginate(Model, identity, query, type, options));
+                const exporter = this._streamExporters[type](options);
 
-                /*
-                 * A model's identityFields are all
-                 * unique attributes. If we are updating
-                 * a record, we might have changed one of
-                 * those before- e.g. email.
-                 * We use an `or` query to get around
-                 * this.
-                 */
-                let criteria = self.buildCriteria(Model, record, identityFields);
+                const output = pipeline(records, exporter, err => {
+                    if (err) exporter.destroy(err);
+                });
 
                 /*
-                 * We need to have a way to perform a
-                 * updateOrCreate;
+                 * Save the watermark once all records have
+                 * been read, unless the caller handles it.
                  */
-                if (_emptyCriteria(criteria)) {
-                    _logger.warn('We dont have a criteria...');
-                    _logger.warn('%j', Object.keys(Model.attributes));
-                    _logger.warn('Model keys: %j', Object.keys(Model));
-                    //TODO: Not sure if this is the best way to go along?
-                    if (o.truncate) {
-                        o.truncate = false;
-                        updateStrategy = 'create';
-                    }
+                if (watermark && watermark !== original) {
+                    output.on('end', _ => watermark.save().catch(err => {
+                        this.logger.error('Error saving watermark %s: %s', watermark.key, err.message);
+                    }));
                 }
 
-                /**
-                 * If we have a cool off period after importing X
-                 * items then we do delay.
-                 */
-                if (_itemTriggersBatchDelay(options, output.length)) {
-                    _logger.info('Cooling off period, waiting for ', options.delayAfterItemBatch);
-                    await delay(options.delayAfterItemBatch);
-                }
+                return output;
+            });
+        });
+    }
 
-                /**
-                 * We can introduce a wait period between each
-                 * individual.
-                 */
-                if (options.delayBetweenItems > 0) {
-                    await delay(options.delayBetweenItems);
-                }
+    /**
+     * Export models matching `query` to a file.
+     *
+     * Files are written as UTF-8 unless `options.encoding`
+     * is set, e.g. `utf16le`. Set `options.bom` to add a
+     * byte order mark, which Excel needs to read UTF-8.
+     * Use `options.fs` for other write options.
+     *
+     * For incremental exports the watermark is
+     * saved once the file has been written.
+     *
+     * @param {String} identity Model identity
+     * @param {Object} query
+     * @param {String} type Exporter type
+     * @param {Object} options
+     * @returns {Promise<String>} Filename
+     */
+    exportModelsToFile(identity, query = {}, type = 'json', options = {}) {
+        const filename = options.filename || this.createFileNameFor(identity, type);
+        this.logger.info('filename:', filename);
 
-                let args = o.truncate ? [record] : [criteria, record];
-
-                return Model[updateStrategy].apply(Model, args).then(record => {
-                    output.push(record);
-                    return iterate(records, options, output, errors);
-                }).catch(err => {
-                    let errorMessage = [
-                        '_importModel.iterate error',
-                        '%s.%s failed: %s',
-                        'DataManager does not know what to do with this error.',
-                        'They will be bubbled up, you should handle them.',
-                        'The record being processed:',
-                        '%j',
-                    ].join('\n');
-
-                    _logger.error(errorMessage, identity, updateStrategy, err.message && err.message.toString(), record);
-                    _logger.info('Query was:');
-                    _logger.info('%s.%s(%j, %j)', identity, updateStrategy, criteria, record);
-
-                    errors.push(self.wrapError(record, identity, updateStrategy, criteria, err));
-                    return iterate(records, options, output, errors);
-                });
-            }
+        return this._createWatermark(identity, type, options).then(watermark => {
+            if (!watermark) return this._exportModelsToFile(identity, query, type, options, filename);
+
+            options = Object.assign({}, options, { watermark });
 
-            if (options.truncate) {
-                return Model.destroy({}).then(_ => iterate(items, options));
-            } else return iterate(items, options);
-        }).then(records => {
-            return records;
+            return this._exportModelsToFile(identity, query, type, options, filename).then(filename => {
+                return watermark.save().then(_ => filename);
+            });
         });
     }
 
-    exportModels(identity, query = {}, type = 'json', options = {}) {
+    _exportModelsToFile(identity, query, type, options, filename) {
+        const encode = options.encoding || options.bom;
 
-        return this.modelProvider(identity).then(Model => {
-            var orm = Model.find(query.criteria || {});
-
-            if (query.populate) {
-                if (typeof query.populate === 'string' || Array.isArray(query.populate)) {
-                    orm.populate(query.populate);
-                } else if (typeof query.populate === 'object') {
-                    if (query.populate.name) {
-                        orm.populate(query.populate.name, query.populate.criteria);
-                    }
-                }
-            }
+        if (_useStream(this.exportOptions, options)) {
+            return this.exportModelsStream(identity, query, type, options).then(output => {
+                return new Promise((resolve, reject) => {
+                    const writer = fs.createWriteStream(filename, options.fs || 'utf8');
+                    let streams = [output, writer];
 
-            if (query.skip) orm.skip(query.skip);
-            if (query.limit) orm.skip(query.limit);
-            if (query.sort) orm.sort(query.sort);
+                    if (encode) {
+                        streams.splice(1, 0, encoding.encodeStream(options.encoding, options.bom));
+                    }
 
-            return orm.then(models => {
-                return this.export(type, models, options);
+                    pipeline(...streams, err => {
+                        if (err) reject(err);
+                        else resolve(filename);
+                    });
+                });
             });
-        });
-    }
+        }
 
-    exportModelsToFile(identity, query = {}, type = 'json', options = {}) {
-        const filename = options.filename || this.createFileNameFor(identity, type);
-        this.logger.info('filename:', filename);
         return this.exportModels(identity, query, type, options).then(output => {
+            if (encode && typeof output === 'string') {
+                output = encoding.encode(output, options.encoding, options.bom);
+            }
+
             return new Promise((resolve, reject) => {
-                //TODO: Maybe use a createWriteStream?
                 fs.writeFile(filename, output, options.fs || 'utf8', function(err) {
                     if (err) reject(err);
                     else resolve(filename);
@@ -362,6 +2588,189 @@ class Manager extends EventEmitter {
         });
     }
 
+    /**
+     * Iterate over all records matching `query`
+     * one page at a time.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Object} query
+     * @param {String} type Exporter type
+     * @param {Object} options
+     * @returns {AsyncIterable}
+     */
+    async *_paginate(Model, identity, query, type, options) {
+        const pageSize = options.pageSize || this.exportOptions.pageSize;
+        const cursor = options.cursor;
+        const max = query.limit || Infinity;
+
+        let total;
+        if (typeof Model.count === 'function') {
+            total = await Model.count(query.criteria || {});
+            total = Math.max(0, Math.min(total - (query.skip || 0), max));
+        }
+
+        let exported = 0;
+        let skip = query.skip || 0;
+        let last;
+
+        while (exported < max) {
+            let page = extend({}, query, {
+                limit: Math.min(pageSize, max - exported),
+            });
+
+            if (cursor) {
+                page.sort = `${cursor} ASC`;
+                page.skip = last === undefined ? skip : 0;
+                if (last !== undefined) {
+                    page.criteria = _afterCursor(query.criteria, cursor, last);
+                }
+            } else {
+                page.sort = query.sort || _defaultSort(Model);
+                page.skip = skip + exported;
+            }
+
+            let records = await this._buildQuery(Model, page);
+
+            if (!records || records.length === 0) break;
+
+            for (const record of records) {
+                if (options.watermark) {
+                    if (!options.watermark.accepts(record)) continue;
+                    options.watermark.track(record);
+                }
+                yield record;
+            }
+
+            exported += records.length;
+            if (cursor) last = records[records.length - 1][cursor];
+
+            this.emit('export.progress', {
+                identity,
+                type,
+                exported,
+                total,
+            });
+
+            if (records.length < page.limit) break;
+        }
+    }
+
+    _buildQuery(Model, query = {}) {
+        var orm = Model.find(query.criteria || {});
+
+        if (query.populate) {
+            if (typeof query.populate === 'string' || Array.isArray(query.populate)) {
+                orm.populate(query.populate);
+            } else if (typeof query.populate === 'object') {
+                if (query.populate.name) {
+                    orm.populate(query.populate.name, query.populate.criteria);
+                }
+            }
+        }
+
+        if (query.skip) orm.skip(query.skip);
+        if (query.limit) orm.limit(query.limit);
+        if (query.sort) orm.sort(query.sort);
+
+        return orm;
+    }
+
+    /**
+     * Apply the column mapping for `identity`,
+     * then `transform` and then the `transforms`
+     * steps for each record.
+     *
+     * Prepared records get a row number, starting
+     * at 1 for the first record, which we use to
+     * report errors. Records rejected by a transform
+     * step are removed and added to `state.rejected`.
+     *
+     * @param {Object} Model Waterline collection
+     * @param {String} identity Model identity
+     * @param {Array} items In reverse order
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {Promise<Array>}
+     */
+    async _prepareRecords(Model, identity, items, options, state) {
+        items = applyMapping(Model, items, this._getMapping(identity, options));
+        items = this._applyTransform(identity, items, options);
+
+        const pipeline = this._getPipeline(identity, options, state);
+        const prepared = [];
+
+        for (let i = items.length - 1; i >= 0; i--) {
+            let item = items[i];
+
+            if (!item || typeof item !== 'object') {
+                prepared.push(item);
+                continue;
+            }
+
+            let row = ++state.rows;
+
+            if (pipeline) {
+                let result = await pipeline.run(item, { row, identity });
+                if (result.rejection) {
+                    this._rejectRecord(state, result.rejection);
+                    continue;
+                }
+                item = result.record;
+            }
+
+            state.rowNumbers.set(item, row);
+            /*
+             * Hash before defaults are applied, they
+             * might change on every import.
+             */
+            if (state.rowHashes) state.rowHashes.set(item, hashRecord(item));
+
+            prepared.push(item);
+        }
+
+        return prepared.reverse();
+    }
+
+    /**
+     * Transform pipeline for `identity` from
+     * `options.transforms` or from our `transforms`
+     * config. Created once per import.
+     * @param {String} identity Model identity
+     * @param {Object} options Import options
+     * @param {Object} state Import state
+     * @returns {TransformPipeline|undefined}
+     */
+    _getPipeline(identity, options = {}, state = {}) {
+        if (state.pipeline !== undefined) return state.pipeline || undefined;
+
+        const steps = options.transforms || (this.transforms || {})[identity];
+
+        state.pipeline = steps && steps.length ?
+            new TransformPipeline(steps, { pluginProvider: this.pluginProvider }) :
+            false;
+
+        return state.pipeline || undefined;
+    }
+
+    _rejectRecord(state, rejection) {
+        state.rejected.push(rejection);
+        state.stats.rejected++;
+        if (state.report) state.report.reject(rejection);
+    }
+
+    /**
+     * Column mapping from `options.mapping` or
+     * from our `mappings` config.
+     * @param {String} identity Model identity
+     * @param {Object} options Import options
+     * @returns {Object|undefined}
+     */
+    _getMapping(identity, options = {}) {
+        if (options.mapping) return options.mapping;
+        return (this.mappings || {})[identity];
+    }
+
     _applyTransform(identity, items, options) {
         this.logger.info('apply transform "%s": ----', identity, options);
 
@@ -439,10 +2848,184 @@ async function delay(t = 100) {
     });
 }
 
+/**
+ * Group items from an async iterable
+ * in arrays of `size` items.
+ * @param {AsyncIterable} iterable
+ * @param {Number} size
+ */
+async function* _batches(iterable, size = 100) {
+    let batch = [];
+
+    for await (const item of iterable) {
+        batch.push(item);
+        if (batch.length < size) continue;
+        yield batch;
+        batch = [];
+    }
+
+    if (batch.length) yield batch;
+}
+
+function _strictValidationError(identity, errors = []) {
+    let message = `Validation failed for ${identity}: ${errors.length} error(s), nothing was imported`;
+    let error = new DataManagerError(message, identity, 'validate');
+    error.code = 'E_VALIDATION';
+    error.errors = errors;
+    return error;
+}
+
+function _useStream(defaults = {}, options = {}) {
+    if (options && options.stream !== undefined) return !!options.stream;
+    return !!defaults.stream;
+}
+
+/**
+ * Wrap a promise that resolves to parser
+ * results into an async iterable.
+ * @param {Promise<Array|Object>} promise
+ */
+async function* _iterateArray(promise) {
+    let records = await promise;
+    if (!records) return;
+    if (!Array.isArray(records)) records = [records];
+    for (const record of records) yield record;
+}
+
+/**
+ * Paginating with skip/limit needs a stable
+ * sort order, we use the primary key.
+ * @param {Object} Model Waterline collection
+ */
+function _defaultSort(Model) {
+    return `${Model.primaryKey || 'id'} ASC`;
+}
+
+function _afterCursor(criteria = {}, cursor, value) {
+    let condition = {};
+    condition[cursor] = { '>': value };
+    if (_emptyCriteria(criteria)) return condition;
+    return { and: [criteria, condition] };
+}
+
 function _itemTriggersBatchDelay(options = {}, itemCount = 0) {
     if (typeof options.numberOfItemsBeforeDelay !== 'number') return false;
-    if (options.numberOfItemsBeforeDelay === -1) return false;
-    return (options.numberOfItemsBeforeDelay % itemCount) === 0;
+    if (options.numberOfItemsBeforeDelay <= 0) return false;
+    if (itemCount === 0) return false;
+    return (itemCount % options.numberOfItemsBeforeDelay) === 0;
+}
+
+/**
+ * Batches don't land on exact multiples of
+ * `numberOfItemsBeforeDelay`, so we check if we
+ * crossed one since our last delay.
+ * @param {Object} options
+ * @param {Number} [lastDelayedAt=0] Item count at our last delay
+ * @param {Number} itemCount Items imported so far
+ */
+function _batchTriggersDelay(options = {}, lastDelayedAt = 0, itemCount = 0) {
+    const size = options.numberOfItemsBeforeDelay;
+    if (typeof size !== 'number' || size <= 0) return false;
+    return Math.floor(itemCount / size) > Math.floor(lastDelayedAt / size);
+}
+
+function _shouldAbort(state = {}) {
+    if (state.job && state.job.cancelled) return true;
+    return !!state.transaction && state.transaction.exceeded(state.errors.length);
+}
+
+/**
+ * Figure out if an upsert created or updated
+ * a record. If we have a snapshot we use it,
+ * else we compare timestamps. Without timestamps
+ * we go by the shape of the output: Waterline's
+ * `updateOrCreate` resolves to a list of updated
+ * records or to the created record. If we can't
+ * tell we return `upserted`.
+ * @param {String} updateStrategy Model method
+ * @param {Array} [before] Rows matching criteria before the upsert
+ * @param {Object|Array} output Model method output
+ * @returns {String} `created`, `updated` or `upserted`
+ */
+function _upsertOutcome(updateStrategy, before, output) {
+    if (updateStrategy === 'create') return 'created';
+    if (Array.isArray(before)) return before.length ? 'updated' : 'created';
+
+    let record = Array.isArray(output) ? output[0] : output;
+
+    if (record && record.createdAt && record.updatedAt) {
+        return +new Date(record.createdAt) === +new Date(record.updatedAt) ? 'created' : 'updated';
+    }
+
+    if (updateStrategy === 'updateOrCreate' && output) {
+        return Array.isArray(output) ? 'updated' : 'created';
+    }
+
+    return 'upserted';
+}
+
+/**
+ * Group operations so that operations sharing
+ * any identity value end up in the same chain,
+ * in their original order.
+ * @param {Array} operations
+ * @returns {Array} List of chains
+ */
+function _chainByIdentity(operations = []) {
+    let chains = [];
+    let chainFor = new Map();
+
+    operations.forEach(operation => {
+        const keys = _identityKeys(operation.criteria);
+        const found = new Set(keys.filter(key => chainFor.has(key)).map(key => chainFor.get(key)));
+
+        let chain = [operation];
+
+        found.forEach(other => {
+            chain = other.concat(chain);
+            chains.splice(chains.indexOf(other), 1);
+        });
+
+        if (found.size > 1) {
+            chain.sort((a, b) => operations.indexOf(a) - operations.indexOf(b));
+        }
+
+        chains.push(chain);
+        chain.forEach(op => _identityKeys(op.criteria).forEach(key => chainFor.set(key, chain)));
+    });
+
+    return chains;
+}
+
+function _identityKeys(criteria = {}) {
+    if (_emptyCriteria(criteria)) return [];
+    let expressions = Array.isArray(criteria.or) ? criteria.or : [criteria];
+    return expressions.map(expression => JSON.stringify(expression));
+}
+
+/**
+ * Run `fn` for each item with at most
+ * `concurrency` calls in flight.
+ * @param {Array} items
+ * @param {Number} concurrency
+ * @param {Function} fn
+ * @returns {Promise}
+ */
+function _pool(items = [], concurrency = 1, fn) {
+    let index = 0;
+
+    const worker = async () => {
+        while (index < items.length) {
+            await fn(items[index++]);
+        }
+    };
+
+    let workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        workers.push(worker());
+    }
+
+    return Promise.all(workers);
 }
 
 function _emptyCriteria(criteria = {}) {
@@ -484,7 +3067,6 @@ function _get(defaultsTo) {
  * @return      {Array}                     Complete list of identity fields
  */
 function _getIdentityFields(Model, record, identityFields = []) {
-    console.log('using DEFAULT FUNCTION to extract identity fields', identityFields);
     /*
      * Definition holds the schema
      * information of your model.
@@ -539,14 +3121,3 @@ function _castField(Model, record, field) {
 
     return value;
 }
-
-class DataManagerError extends Error {
-    constructor(message, identity, updateStrategy, criteria, source) {
-        super(message);
-        this.identity = identity;
-        this.updateStrategy = updateStrategy;
-        this.criteria = criteria;
-        this.source = source;
-        this.id = `error_${identity}_${Date.now().toString(36)}`;
-    }
-}
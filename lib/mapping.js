@@ -0,0 +1,145 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * Declarative column mapping for imported records.
+ *
+ * A mapping object looks like:
+ *
+ * ```js
+ * {
+ *     rename: { 'E-mail': 'email' },
+ *     drop: ['internal_id'],
+ *     defaults: { role: 'user' },
+ *     coerce: true,
+ *     types: { tags: 'json', zip: 'string', active: false }
+ * }
+ * ```
+ *
+ * Columns are renamed first, then dropped, then we
+ * apply defaults. `types` and `drop` use the
+ * renamed column names.
+ *
+ * If `coerce` is true values are cast using the
+ * Model attribute type. `types` overrides the type
+ * for a column, `false` skips coercion.
+ */
+const DEFAULTS = {
+    rename: {},
+    drop: [],
+    defaults: {},
+    coerce: true,
+    types: {},
+};
+
+/**
+ * Apply `mapping` to a list of records.
+ * @param {Object} Model Waterline collection
+ * @param {Array} records
+ * @param {Object} mapping
+ * @returns {Array}
+ */
+function applyMapping(Model, records = [], mapping) {
+    if (!mapping) return records;
+    mapping = Object.assign({}, DEFAULTS, mapping);
+    return records.map(record => mapRecord(Model, record, mapping));
+}
+
+function mapRecord(Model, record = {}, mapping = DEFAULTS) {
+    const attributes = (Model && Model.attributes) || {};
+    const rename = mapping.rename || {};
+    const drop = mapping.drop || [];
+    const types = mapping.types || {};
+
+    let out = {};
+
+    Object.keys(record).forEach(key => {
+        let target = rename.hasOwnProperty(key) ? rename[key] : key;
+        if (drop.includes(target)) return;
+        out[target] = record[key];
+    });
+
+    Object.keys(mapping.defaults || {}).forEach(key => {
+        if (out[key] !== undefined && out[key] !== '') return;
+        out[key] = mapping.defaults[key];
+    });
+
+    Object.keys(out).forEach(key => {
+        let type = types.hasOwnProperty(key) ? types[key] : undefined;
+
+        if (type === false) return;
+
+        if (type === undefined) {
+            if (!mapping.coerce || !attributes[key]) return;
+            if (attributes[key].model || attributes[key].collection) return;
+            type = attributes[key].type;
+        }
+
+        let value = coerce(out[key], type);
+
+        if (value === undefined) delete out[key];
+        else out[key] = value;
+    });
+
+    return out;
+}
+
+const TRUE = ['true', '1', 'yes', 'y', 'on'];
+const FALSE = ['false', '0', 'no', 'n', 'off'];
+
+/**
+ * Cast a raw value to `type`.
+ * Only strings are cast, other values are
+ * returned as is. Empty strings for non string
+ * types return `undefined` so that the column
+ * is dropped and `defaultsTo` can be applied.
+ *
+ * Values that can't be cast are returned as
+ * is and left for validation to report.
+ *
+ * @param {Mixed} value
+ * @param {String} type
+ * @returns {Mixed}
+ */
+function coerce(value, type) {
+    if (typeof value !== 'string') return value;
+
+    switch (type) {
+        case 'number':
+        case 'float':
+        case 'integer': {
+            if (value.trim() === '') return undefined;
+            let number = Number(value);
+            return isFinite(number) ? number : value;
+        }
+        case 'boolean': {
+            if (value.trim() === '') return undefined;
+            let flag = value.trim().toLowerCase();
+            if (TRUE.includes(flag)) return true;
+            if (FALSE.includes(flag)) return false;
+            return value;
+        }
+        case 'date':
+        case 'datetime': {
+            if (value.trim() === '') return undefined;
+            let date = new Date(value);
+            return isNaN(date) ? value : date;
+        }
+        case 'json':
+        case 'array': {
+            if (value.trim() === '') return undefined;
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        }
+        default:
+            return value;
+    }
+}
+
+module.exports = applyMapping;
+module.exports.applyMapping = applyMapping;
+module.exports.mapRecord = mapRecord;
+module.exports.coerce = coerce;
@@ -2,29 +2,80 @@
 'use strict';
 
 const parse = require('csv-parse');
+const { pipeline } = require('stream');
 
 class CSVParser {
     constructor(manager){
         manager.parser('csv', this.parse.bind(this, ','));
         manager.parser('tsv', this.parse.bind(this, '\t'));
+        manager.streamParser('csv', this.stream.bind(this, ','));
+        manager.streamParser('tsv', this.stream.bind(this, '\t'));
     }
 
+    /**
+     * Parse delimited content. The first row is
+     * the header unless `opts.header` is false, in
+     * which case columns are named using
+     * `opts.columns` or their index.
+     * @param {String} delimiter
+     * @param {String} contents
+     * @param {Object} opts
+     */
     parse(delimiter, contents, opts={delimiter:',', trim: true}) {
         delimiter = opts.delimiter || delimiter;
 
         return new Promise((resolve, reject) => {
-            parse(contents, {delimiter: delimiter, trim: true}, (err, data) => {
+            parse(contents, {delimiter: delimiter, trim: true, bom: true}, (err, data) => {
                 if (err) return reject(err);
-                var header = data.shift();
-                var results = data.map((row) => {
-                    row = row.map((r) => {if(r.trim) r = r.trim(); return r});
-                    var out = {}, i = 0;
-                    header.map((key) => out[key] = row[i++]);
-                    return out;
-                });
+                var header = opts.header === false ? columns(data[0], opts) : data.shift();
+                var results = data.map((row) => toRecord(header, row));
                 resolve(results);
             });
         });
     }
+
+    /**
+     * Parse a readable stream. Rows are read
+     * as needed so we respect backpressure.
+     * @param {String} delimiter
+     * @param {stream.Readable} source
+     * @param {Object} opts
+     * @returns {AsyncIterable}
+     */
+    async *stream(delimiter, source, opts={}) {
+        delimiter = opts.delimiter || delimiter;
+
+        const parser = parse({delimiter: delimiter, trim: true, bom: true});
+
+        pipeline(source, parser, err => {
+            if (err) parser.destroy(err);
+        });
+
+        let header;
+
+        for await (const row of parser) {
+            if (!header) {
+                if (opts.header !== false) {
+                    header = row;
+                    continue;
+                }
+                header = columns(row, opts);
+            }
+            yield toRecord(header, row);
+        }
+    }
 }
+
 module.exports = CSVParser;
+
+function columns(row = [], opts = {}) {
+    if (Array.isArray(opts.columns)) return opts.columns;
+    return row.map((_, i) => String(i));
+}
+
+function toRecord(header, row) {
+    row = row.map((r) => {if(r.trim) r = r.trim(); return r});
+    var out = {}, i = 0;
+    header.map((key) => out[key] = row[i++]);
+    return out;
+}
@@ -0,0 +1,99 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Newline delimited JSON, one record per line.
+ * Lines we can't parse are reported using
+ * `manager.parseError` and skipped.
+ */
+class NDJSONParser {
+    constructor(manager) {
+        this.manager = manager;
+        ['ndjson', 'jsonl'].forEach(type => {
+            manager.parser(type, this.parse.bind(this, type));
+            manager.streamParser(type, this.stream.bind(this, type));
+        });
+    }
+
+    /**
+     * Parse NDJSON into an array of results.
+     * @param {String} type
+     * @param {String} contents
+     * @param {Object} opts
+     */
+    parse(type, contents, opts = {}) {
+        if (typeof contents === 'object') return contents;
+
+        let results = [];
+
+        String(contents).split(/\r?\n/).forEach((line, index) => {
+            let record = this.parseLine(type, line, index + 1, opts);
+            if (record) results.push(record);
+        });
+
+        return results;
+    }
+
+    /**
+     * Parse a readable stream line by line.
+     * @param {String} type
+     * @param {stream.Readable} source
+     * @param {Object} opts
+     * @returns {AsyncIterable}
+     */
+    async *stream(type, source, opts = {}) {
+        const decoder = new StringDecoder('utf8');
+
+        let buffer = '';
+        let number = 0;
+        let record;
+
+        for await (const chunk of source) {
+            buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+            let lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                record = this.parseLine(type, line, ++number, opts);
+                if (record) yield record;
+            }
+        }
+
+        buffer += decoder.end();
+
+        record = this.parseLine(type, buffer, ++number, opts);
+        if (record) yield record;
+    }
+
+    parseLine(type, line, number, opts = {}) {
+        if (!line || line.trim() === '') return;
+
+        let record;
+
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            this.manager.parseError(type, `Line ${number}: ${error.message}`, {
+                line: number,
+                content: line,
+                source: error,
+            }, opts);
+            return;
+        }
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            this.manager.parseError(type, `Line ${number}: expected an object`, {
+                line: number,
+                content: line,
+            }, opts);
+            return;
+        }
+
+        return record;
+    }
+}
+
+module.exports = NDJSONParser;
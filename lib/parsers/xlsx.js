@@ -0,0 +1,98 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const ExcelJS = require('exceljs');
+
+class XLSXParser {
+    constructor(manager) {
+        manager.parser('xlsx', this.parse.bind(this), { binary: true });
+    }
+
+    /**
+     * Parse a workbook into an array of results.
+     *
+     * We use the first sheet unless `opts.sheet`
+     * is provided, either a sheet name or a zero
+     * based index.
+     *
+     * If `opts.headerRow` is not provided we use the
+     * first row with only text cells spanning at least
+     * half the columns in the sheet, so that title rows
+     * are skipped.
+     *
+     * Date and number cells keep their native types.
+     *
+     * @param {Buffer} contents
+     * @param {Object} opts
+     */
+    async parse(contents, opts = {}) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(contents);
+
+        const sheet = getSheet(workbook, opts.sheet);
+        if (!sheet) throw new Error('Sheet not found: ' + opts.sheet);
+
+        let rows = [];
+        sheet.eachRow((row, number) => {
+            rows.push({ number, values: row.values.map(cellValue) });
+        });
+
+        const header = opts.headerRow ?
+            rows.find(row => row.number === opts.headerRow) :
+            detectHeader(rows, sheet.columnCount);
+
+        if (!header) return [];
+
+        return rows.filter(row => row.number > header.number).map(row => {
+            let out = {};
+            header.values.forEach((key, i) => {
+                if (key === undefined || row.values[i] === undefined) return;
+                out[String(key)] = row.values[i];
+            });
+            return out;
+        });
+    }
+}
+
+module.exports = XLSXParser;
+
+function getSheet(workbook, sheet) {
+    if (sheet === undefined || sheet === null) return workbook.worksheets[0];
+    if (typeof sheet === 'number') return workbook.worksheets[sheet];
+    return workbook.getWorksheet(sheet);
+}
+
+function detectHeader(rows = [], columnCount = 0) {
+    const minimum = Math.max(1, Math.ceil(columnCount / 2));
+
+    return rows.find(row => {
+        const cells = row.values.filter(value => value !== undefined);
+        if (cells.length < minimum) return false;
+        return cells.every(value => typeof value === 'string');
+    });
+}
+
+/**
+ * Get the value of a cell, formulas resolve
+ * to their result and rich text to its text.
+ * @param {Mixed} value
+ */
+function cellValue(value) {
+    if (value === null || value === undefined) return undefined;
+    if (value instanceof Date) return value;
+
+    if (typeof value === 'object') {
+        if (value.error) return undefined;
+        if (value.result !== undefined) return cellValue(value.result);
+        if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('').trim();
+        if (value.text !== undefined) return cellValue(value.text);
+        if (value.formula || value.sharedFormula) return undefined;
+    }
+
+    if (typeof value === 'string') {
+        value = value.trim();
+        return value === '' ? undefined : value;
+    }
+
+    return value;
+}
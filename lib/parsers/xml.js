@@ -0,0 +1,68 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const { XMLParser: Parser } = require('fast-xml-parser');
+
+class XMLParser {
+    constructor(manager) {
+        manager.parser('xml', this.parse.bind(this));
+    }
+
+    /**
+     * Parse XML into an array of results.
+     *
+     * Records are picked from `opts.path`, a dot
+     * separated element path e.g. `catalog.products.product`.
+     * If not provided we walk down from the root
+     * element until we find a repeated element.
+     *
+     * Attributes are merged with child elements.
+     * Values are strings, unless `opts.parseValues`
+     * is true.
+     *
+     * @param {String} contents
+     * @param {Object} opts
+     */
+    parse(contents, opts = {}) {
+        if (typeof contents === 'object') return contents;
+
+        const parser = new Parser({
+            ignoreAttributes: false,
+            ignoreDeclaration: true,
+            ignorePiTags: true,
+            attributeNamePrefix: opts.attributePrefix || '',
+            parseTagValue: !!opts.parseValues,
+            parseAttributeValue: !!opts.parseValues,
+            trimValues: true,
+            isArray: (name, jpath) => jpath === opts.path,
+        });
+
+        let document = parser.parse(contents);
+        let results = opts.path ? pick(document, opts.path) : findRecords(document);
+
+        if (results === undefined || results === null || results === '') return [];
+
+        return results;
+    }
+}
+
+module.exports = XMLParser;
+
+function pick(document, path) {
+    return path.split('.').reduce((node, key) => {
+        if (node === undefined || node === null) return undefined;
+        return node[key];
+    }, document);
+}
+
+function findRecords(node) {
+    while (node && typeof node === 'object' && !Array.isArray(node)) {
+        let keys = Object.keys(node);
+        if (keys.length !== 1) return node;
+        let child = node[keys[0]];
+        if (Array.isArray(child)) return child;
+        if (!child || typeof child !== 'object') return node;
+        node = child;
+    }
+    return node;
+}
@@ -0,0 +1,33 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const yaml = require('js-yaml');
+
+class YAMLParser {
+    constructor(manager) {
+        manager.parser('yaml', this.parse.bind(this));
+        manager.parser('yml', this.parse.bind(this));
+    }
+
+    /**
+     * Parse YAML into an array of results. Same as
+     * `JSONParser`, assumes top-level is array unless
+     * opts.key is provided.
+     * Files with multiple documents are merged.
+     * @param {String} contents
+     * @param {Object} opts
+     */
+    parse(contents, opts = {}) {
+        if (typeof contents === 'object') return contents;
+
+        let documents = yaml.loadAll(contents).filter(doc => doc !== null && doc !== undefined);
+
+        if (opts.key) documents = documents.map(doc => doc[opts.key]);
+
+        if (documents.length === 1) return documents[0];
+
+        return documents.reduce((results, doc) => results.concat(doc), []);
+    }
+}
+
+module.exports = YAMLParser;
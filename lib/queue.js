@@ -0,0 +1,94 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const DataManagerError = require('./errors');
+
+/**
+ * Serialize tasks per key, e.g. per entity.
+ *
+ * When a task for a key is already running
+ * new tasks are handled using a strategy:
+ * - `queue`: run after the current and queued tasks.
+ * - `reject`: reject with code `E_BUSY`.
+ * - `coalesce`: replace any queued tasks. Replaced
+ *    tasks are rejected with code `E_COALESCED`.
+ */
+class EntityQueue {
+    constructor() {
+        this.running = new Set();
+        this.pending = new Map();
+    }
+
+    isBusy(key) {
+        return this.running.has(key);
+    }
+
+    /**
+     * Number of tasks waiting for `key`.
+     * @param {String} key
+     * @returns {Number}
+     */
+    size(key) {
+        return (this.pending.get(key) || []).length;
+    }
+
+    /**
+     * Run `fn` once no other task for `key`
+     * is running.
+     * @param {String} key
+     * @param {Function} fn Returns a promise
+     * @param {String} [strategy=queue]
+     * @returns {Promise}
+     */
+    run(key, fn, strategy = 'queue') {
+        if (!this.isBusy(key)) return this._start(key, fn);
+
+        if (strategy === 'reject') {
+            let error = new DataManagerError(`${key} is busy`, key, 'lock');
+            error.code = 'E_BUSY';
+            return Promise.reject(error);
+        }
+
+        let pending = this.pending.get(key) || [];
+
+        if (strategy === 'coalesce') {
+            pending.forEach(task => {
+                let error = new DataManagerError(`${key} task replaced by a newer one`, key, 'lock');
+                error.code = 'E_COALESCED';
+                task.reject(error);
+            });
+            pending = [];
+        }
+
+        return new Promise((resolve, reject) => {
+            pending.push({ fn, resolve, reject });
+            this.pending.set(key, pending);
+        });
+    }
+
+    _start(key, fn) {
+        this.running.add(key);
+
+        const next = () => {
+            this.running.delete(key);
+
+            let pending = this.pending.get(key) || [];
+            let task = pending.shift();
+
+            if (pending.length === 0) this.pending.delete(key);
+            if (!task) return;
+
+            this._start(key, task.fn).then(task.resolve, task.reject);
+        };
+
+        return Promise.resolve().then(fn).then(result => {
+            next();
+            return result;
+        }, err => {
+            next();
+            return Promise.reject(err);
+        });
+    }
+}
+
+module.exports = EntityQueue;
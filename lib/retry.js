@@ -0,0 +1,158 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const path = require('path');
+
+/**
+ * Delay before we replay a failed record,
+ * doubled after every failed attempt.
+ */
+const BACKOFF_BASE = 60 * 1000;
+const BACKOFF_MAX = 24 * 60 * 60 * 1000;
+
+/**
+ * Error codes we consider transient,
+ * e.g. a dropped connection.
+ */
+const TRANSIENT_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ER_LOCK_DEADLOCK',
+    'ER_LOCK_WAIT_TIMEOUT',
+    '40001',
+    '40P01',
+];
+
+let counter = 0;
+
+/**
+ * Default retry store. Failed records for
+ * each entity are stored in `<dirname>/<identity>.json`.
+ *
+ * A store is any object with async
+ * `load(identity)` and `save(identity, entries)`
+ * methods.
+ */
+class FileRetryStore {
+    constructor(dirname) {
+        this.dirname = path.resolve(dirname);
+    }
+
+    load(identity) {
+        return fsx.readJson(this._filename(identity)).catch(err => {
+            if (err.code === 'ENOENT') return [];
+            return Promise.reject(err);
+        });
+    }
+
+    save(identity, entries = []) {
+        const filename = this._filename(identity);
+
+        if (!entries.length) return fsx.remove(filename);
+
+        const tmp = `${filename}.${process.pid}.tmp`;
+        return fsx.outputJson(tmp, entries, { spaces: 4 }).then(_ => {
+            return fsx.move(tmp, filename, { overwrite: true });
+        });
+    }
+
+    _filename(identity) {
+        return path.join(this.dirname, `${identity}.json`);
+    }
+}
+
+/**
+ * Retry store used when we don't have
+ * a `retriesPath`. Entries are lost
+ * when the process exits.
+ */
+class MemoryRetryStore {
+    constructor() {
+        this.data = new Map();
+    }
+
+    load(identity) {
+        return Promise.resolve(JSON.parse(JSON.stringify(this.data.get(identity) || [])));
+    }
+
+    save(identity, entries = []) {
+        if (!entries.length) this.data.delete(identity);
+        else this.data.set(identity, JSON.parse(JSON.stringify(entries)));
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Create a retry entry from a `DataManagerError`.
+ * @param {DataManagerError} error
+ * @param {String} updateStrategy Model method to use
+ * @returns {Object}
+ */
+function createEntry(error, updateStrategy) {
+    const now = new Date();
+    return {
+        id: `retry_${error.identity}_${now.getTime().toString(36)}_${(counter++).toString(36)}`,
+        identity: error.identity,
+        jobId: error.jobId,
+        record: error.record,
+        criteria: error.criteria,
+        updateStrategy,
+        error: serializeError(error),
+        transient: isTransientError(error),
+        attempts: 0,
+        createdAt: now.toISOString(),
+        nextRetryAt: now.toISOString(),
+    };
+}
+
+/**
+ * Register a failed attempt and schedule
+ * the next one.
+ * @param {Object} entry
+ * @param {Error} error
+ * @returns {Object} entry
+ */
+function failAttempt(entry, error) {
+    entry.attempts++;
+    entry.error = serializeError(error);
+    entry.transient = isTransientError(error);
+    entry.lastRetryAt = new Date().toISOString();
+    entry.nextRetryAt = new Date(Date.now() + backoff(entry.attempts)).toISOString();
+    return entry;
+}
+
+function backoff(attempts = 0) {
+    return Math.min(BACKOFF_BASE * Math.pow(2, attempts - 1), BACKOFF_MAX);
+}
+
+/**
+ * Should we retry the operation that
+ * failed with `error`.
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+function isTransientError(error = {}) {
+    if (error.transient === true) return true;
+    const source = error.source || error.originalError || {};
+    return TRANSIENT_CODES.includes(String(error.code)) ||
+        TRANSIENT_CODES.includes(String(source.code));
+}
+
+function serializeError(error = {}) {
+    const source = error.source || {};
+    return {
+        message: error.message,
+        code: error.code || source.code,
+    };
+}
+
+module.exports = FileRetryStore;
+module.exports.FileRetryStore = FileRetryStore;
+module.exports.MemoryRetryStore = MemoryRetryStore;
+module.exports.createEntry = createEntry;
+module.exports.failAttempt = failAttempt;
+module.exports.isTransientError = isTransientError;
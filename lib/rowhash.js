@@ -0,0 +1,95 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Default row hash store. Hashes for each
+ * entity are stored in `<dirname>/<identity>.json`.
+ *
+ * A store is any object with async
+ * `load(identity)` and `save(identity, hashes)`
+ * methods. Hashes are an object keyed by record
+ * criteria with `{hash, id}` values.
+ */
+class FileRowHashStore {
+    constructor(dirname) {
+        this.dirname = path.resolve(dirname);
+    }
+
+    load(identity) {
+        return fsx.readJson(this._filename(identity)).catch(err => {
+            if (err.code === 'ENOENT') return {};
+            return Promise.reject(err);
+        });
+    }
+
+    save(identity, hashes = {}) {
+        const filename = this._filename(identity);
+        const tmp = `${filename}.${process.pid}.tmp`;
+        return fsx.outputJson(tmp, hashes).then(_ => {
+            return fsx.move(tmp, filename, { overwrite: true });
+        });
+    }
+
+    _filename(identity) {
+        return path.join(this.dirname, `${identity}.json`);
+    }
+}
+
+/**
+ * Row hash store used when we don't
+ * have a `rowHashesPath`.
+ */
+class MemoryRowHashStore {
+    constructor() {
+        this.data = new Map();
+    }
+
+    load(identity) {
+        return Promise.resolve(Object.assign({}, this.data.get(identity)));
+    }
+
+    save(identity, hashes = {}) {
+        this.data.set(identity, Object.assign({}, hashes));
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Hash a record. Keys are sorted so the
+ * order of columns does not matter.
+ * @param {Object} record
+ * @returns {String}
+ */
+function hashRecord(record = {}) {
+    return crypto.createHash('sha1').update(stableStringify(record)).digest('hex');
+}
+
+/**
+ * Key for a record in the hash store.
+ * @param {Object} criteria
+ * @returns {String}
+ */
+function hashKey(criteria = {}) {
+    return stableStringify(criteria);
+}
+
+function stableStringify(value) {
+    if (value instanceof Date) return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => {
+            return `${JSON.stringify(key)}:${stableStringify(value[key])}`;
+        }).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = FileRowHashStore;
+module.exports.FileRowHashStore = FileRowHashStore;
+module.exports.MemoryRowHashStore = MemoryRowHashStore;
+module.exports.hashRecord = hashRecord;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,254 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * Guess the format of a file from a sample
+ * of its content. Used when a file has no
+ * extension or one we don't have a parser for.
+ *
+ * We detect `json`, `ndjson`, `csv` and `tsv`.
+ * For delimited content we also detect the
+ * delimiter and whether the first row is a
+ * header row.
+ */
+
+/**
+ * Number of bytes we read from a file
+ * to guess its format.
+ */
+const SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Number of lines we look at to detect
+ * the delimiter.
+ */
+const SAMPLE_LINES = 20;
+
+const DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * Share of lines that have to split the same
+ * way for us to pick a delimiter. Otherwise we
+ * assume a single column.
+ */
+const MIN_CONSISTENCY = 0.6;
+
+/**
+ * Confidence for content we read as
+ * a single column.
+ */
+const SINGLE_COLUMN_CONFIDENCE = 0.5;
+
+/**
+ * Guess the format of `sample`.
+ *
+ * Returns an object with `type` and
+ * `confidence`, between 0 and 1. Delimited
+ * formats also have `delimiter` and `header`.
+ *
+ * If `complete` is false the sample was cut
+ * short and the last line might be partial.
+ *
+ * If no delimiter splits lines consistently,
+ * e.g. a single column file, we use
+ * `options.delimiter`, or a comma.
+ *
+ * @param {String} sample
+ * @param {Boolean} [complete=true]
+ * @param {Object} [options={}]
+ * @param {String} [options.delimiter=','] Fallback delimiter
+ * @returns {Object|undefined}
+ */
+function sniff(sample, complete = true, options = {}) {
+    sample = String(sample || '').replace(/^\uFEFF/, '');
+
+    const trimmed = sample.trim();
+    if (!trimmed) return;
+
+    let lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (!complete && lines.length > 1) lines.pop();
+
+    if (trimmed[0] === '[' || trimmed[0] === '{') {
+        let result = sniffJSON(trimmed, lines, complete);
+        if (result) return result;
+    }
+
+    return sniffDelimited(lines, options.delimiter);
+}
+
+function sniffJSON(content, lines, complete) {
+    if (_isJSON(content)) {
+        /*
+         * A single line NDJSON file is also
+         * a valid JSON document.
+         */
+        return { type: 'json', confidence: 1 };
+    }
+
+    if (content[0] === '{' && lines.length > 1) {
+        let valid = lines.filter(line => _isObject(line.trim())).length;
+        if (valid) {
+            return { type: 'ndjson', confidence: _round(valid / lines.length) };
+        }
+    }
+
+    /*
+     * We only read the beginning of big files
+     * so we can't parse them as a whole.
+     */
+    if (content[0] === '[' && !complete) {
+        return { type: 'json', confidence: 0.6 };
+    }
+}
+
+function sniffDelimited(lines, fallback = ',') {
+    lines = lines.slice(0, SAMPLE_LINES);
+
+    let best;
+
+    DELIMITERS.forEach(delimiter => {
+        let counts = lines.map(line => _countDelimiters(line, delimiter));
+        let mode = _mode(counts);
+        if (!mode) return;
+
+        let consistency = counts.filter(count => count === mode).length / counts.length;
+
+        /*
+         * Prefer the delimiter that splits lines
+         * consistently, then the one that gives
+         * us more columns.
+         */
+        if (!best ||
+            consistency > best.consistency ||
+            (consistency === best.consistency && mode > best.mode)) {
+            best = { delimiter, mode, consistency };
+        }
+    });
+
+    if (!best || best.consistency < MIN_CONSISTENCY) {
+        best = { delimiter: fallback, consistency: SINGLE_COLUMN_CONFIDENCE, single: true };
+    }
+
+    /*
+     * A single line is weak evidence.
+     */
+    let confidence = best.consistency;
+    if (lines.length < 2) confidence *= 0.5;
+
+    const rows = lines.map(line => best.single ? [line] : _splitLine(line, best.delimiter));
+
+    return {
+        type: best.delimiter === '\t' ? 'tsv' : 'csv',
+        delimiter: best.delimiter,
+        header: hasHeader(rows),
+        confidence: _round(confidence),
+    };
+}
+
+/**
+ * The first row is a header unless it has
+ * empty, duplicated or numeric cells, or its
+ * cells look like the rows that follow.
+ * @param {Array} rows Rows as lists of cells
+ * @returns {Boolean}
+ */
+function hasHeader(rows = []) {
+    const header = rows[0];
+    if (!header) return false;
+
+    const cells = header.map(cell => cell.trim());
+
+    if (cells.some(cell => cell === '' || _isNumeric(cell))) return false;
+    if (new Set(cells).size !== cells.length) return false;
+
+    const data = rows.slice(1);
+    if (!data.length) return true;
+
+    /*
+     * If every column has the same value in the first
+     * row as in any other row it's data, not a header.
+     */
+    return !cells.every((cell, i) => data.some(row => (row[i] || '').trim() === cell));
+}
+
+function _countDelimiters(line, delimiter) {
+    return _splitLine(line, delimiter).length - 1;
+}
+
+/**
+ * Split a line by `delimiter` ignoring
+ * delimiters inside quoted values.
+ * @param {String} line
+ * @param {String} delimiter
+ * @returns {Array}
+ */
+function _splitLine(line, delimiter) {
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        let char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                cell += char;
+                i++;
+            } else quoted = !quoted;
+        } else if (char === delimiter && !quoted) {
+            cells.push(cell);
+            cell = '';
+        } else cell += char;
+    }
+
+    cells.push(cell);
+
+    return cells;
+}
+
+function _mode(values = []) {
+    let counts = new Map();
+    let mode = 0;
+    let max = 0;
+
+    values.forEach(value => {
+        let count = (counts.get(value) || 0) + 1;
+        counts.set(value, count);
+        if (count > max || (count === max && value > mode)) {
+            max = count;
+            mode = value;
+        }
+    });
+
+    return mode;
+}
+
+function _isJSON(content) {
+    try {
+        JSON.parse(content);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function _isObject(line) {
+    try {
+        let value = JSON.parse(line);
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    } catch (e) {
+        return false;
+    }
+}
+
+function _isNumeric(value) {
+    return value !== '' && !isNaN(Number(value));
+}
+
+function _round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = sniff;
+module.exports.sniff = sniff;
+module.exports.hasHeader = hasHeader;
+module.exports.SAMPLE_SIZE = SAMPLE_SIZE;
@@ -0,0 +1,144 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * Number of ids per `destroy` call
+ * when we commit a truncate.
+ */
+const CHUNK_SIZE = 500;
+
+/**
+ * Keep track of the rows an import touches
+ * so we can restore them if the import fails.
+ *
+ * We only rely on the Model methods the manager
+ * already uses: `find`, `destroy` and
+ * `updateOrCreate`.
+ *
+ * Truncate imports are staged: stored rows are
+ * kept while we import and rows the import did
+ * not touch are removed on `commit`. Rolling back
+ * never re-creates rows, so they keep their ids.
+ *
+ * Once committed or rolled back the transaction
+ * is `closed`.
+ */
+class ImportTransaction {
+    constructor(Model, identity, options = {}) {
+        this.Model = Model;
+        this.identity = identity;
+        this.primaryKey = Model.primaryKey || 'id';
+        this.threshold = typeof options.rollbackThreshold === 'number' ? options.rollbackThreshold : 0;
+        this.staged = undefined;
+        this.created = [];
+        this.updated = new Map();
+        this.closed = false;
+    }
+
+    /**
+     * Store the ids of all rows in the
+     * table. Call instead of truncating.
+     * @returns {Promise}
+     */
+    stage() {
+        return Promise.resolve(this.Model.find({})).then((rows = []) => {
+            this.staged = rows.map(row => row[this.primaryKey]);
+        });
+    }
+
+    /**
+     * Find the rows matching `criteria` before
+     * we upsert a record.
+     * @param {Object} criteria
+     * @returns {Promise<Array>}
+     */
+    snapshot(criteria) {
+        if (_isEmpty(criteria)) return Promise.resolve([]);
+        return Promise.resolve(this.Model.find(criteria)).then(rows => rows || []);
+    }
+
+    /**
+     * Register the result of an upsert.
+     * @param {Array} before Output of `snapshot`
+     * @param {Object|Array} result Output of the Model method
+     */
+    track(before = [], result) {
+        before.forEach(row => {
+            const id = row[this.primaryKey];
+            if (!this.updated.has(id)) this.updated.set(id, row);
+        });
+
+        [].concat(result || []).forEach(row => {
+            const id = row[this.primaryKey];
+            if (id === undefined || this.updated.has(id)) return;
+            this.created.push(id);
+        });
+    }
+
+    /**
+     * Should we rollback given the number
+     * of errors.
+     * @param {Number} errorCount
+     * @returns {Boolean}
+     */
+    exceeded(errorCount = 0) {
+        return errorCount > this.threshold;
+    }
+
+    /**
+     * Remove staged rows that were not
+     * updated by the import.
+     * @returns {Promise<Number>} Number of removed rows
+     */
+    async commit() {
+        if (!this.staged) {
+            this.closed = true;
+            return 0;
+        }
+
+        const touched = new Set(this.created.concat(Array.from(this.updated.keys())).map(String));
+        const stale = this.staged.filter(id => !touched.has(String(id)));
+
+        for (let i = 0; i < stale.length; i += CHUNK_SIZE) {
+            await this.Model.destroy(_byId(this.primaryKey, { in: stale.slice(i, i + CHUNK_SIZE) }));
+        }
+
+        this.staged = undefined;
+        this.closed = true;
+
+        return stale.length;
+    }
+
+    /**
+     * Restore all rows to their state
+     * before the import.
+     * @returns {Promise}
+     */
+    async rollback() {
+        const Model = this.Model;
+        const pk = this.primaryKey;
+
+        this.staged = undefined;
+        this.closed = true;
+
+        for (const id of this.created.reverse()) {
+            await Model.destroy(_byId(pk, id));
+        }
+
+        for (const [id, row] of this.updated) {
+            await Model.updateOrCreate(_byId(pk, id), row);
+        }
+    }
+}
+
+module.exports = ImportTransaction;
+
+function _byId(pk, id) {
+    let criteria = {};
+    criteria[pk] = id;
+    return criteria;
+}
+
+function _isEmpty(criteria) {
+    return !criteria || Object.keys(criteria).length === 0;
+}
@@ -0,0 +1,418 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+/**
+ * Per-record transform chain declared in config.
+ *
+ * A chain is a list of steps applied in order:
+ *
+ * ```js
+ * [
+ *     'trim',
+ *     { op: 'lowercase', field: 'email' },
+ *     { op: 'split', field: 'tags', separator: ',' },
+ *     { op: 'parseDate', field: 'born', format: 'DD/MM/YYYY' },
+ *     { op: 'lookup', field: 'country', table: { Spain: 'ES' }, strict: true },
+ *     { op: 'replace', field: 'phone', pattern: '[^0-9+]' },
+ *     { op: 'compute', field: 'name', template: '{first} {last}' },
+ *     { op: 'filter', where: { status: 'active' } },
+ *     { op: 'drop', where: record => record.test },
+ *     (record, context) => lookupManager(record),
+ *     './transforms/geocode'
+ * ]
+ * ```
+ *
+ * A step is a built-in name, an object with
+ * an `op`, a function or a module path loaded
+ * through `pluginProvider`. Any step can have
+ * a `when` condition, same as `where`.
+ *
+ * Functions get a copy of the record and a
+ * context with `row`, `identity`, `step` and
+ * `reject(reason)`. They return the record, or a
+ * promise for it. Returning `false`, `null` or
+ * `undefined`, `context.reject(reason)` or
+ * throwing rejects the record.
+ */
+
+/**
+ * Marks a record as rejected
+ * by a step.
+ */
+class Rejection {
+    constructor(reason) {
+        this.reason = reason;
+    }
+}
+
+const reject = reason => new Rejection(reason);
+
+/**
+ * Built-in operators. Each one gets the
+ * step config and returns a function
+ * `(record, context)`.
+ */
+const OPERATORS = {
+    trim: step => eachString(step, value => value.trim()),
+
+    lowercase: step => eachString(step, value => value.toLowerCase()),
+
+    uppercase: step => eachString(step, value => value.toUpperCase()),
+
+    split: step => eachField(step, value => {
+        if (typeof value !== 'string') return value;
+        let parts = value.split(step.separator || ',');
+        if (step.trim !== false) parts = parts.map(part => part.trim());
+        return parts.filter(part => part !== '');
+    }),
+
+    join: step => eachField(step, value => {
+        if (!Array.isArray(value)) return value;
+        return value.join(step.separator === undefined ? ',' : step.separator);
+    }),
+
+    parseDate: step => eachField(step, (value, field) => {
+        if (typeof value !== 'string') return value;
+        if (value.trim() === '') return undefined;
+        let date = parseDate(value.trim(), step.format, step.utc);
+        if (!date) return reject(`Invalid date for "${field}": ${value}`);
+        return date;
+    }),
+
+    formatDate: step => eachField(step, (value, field) => {
+        if (value === undefined || value === null || value === '') return value;
+        let date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date)) return reject(`Invalid date for "${field}": ${value}`);
+        return formatDate(date, step.format, step.utc);
+    }),
+
+    lookup: step => {
+        if (!step.table || typeof step.table !== 'object') {
+            throw new Error('lookup step requires a "table"');
+        }
+
+        return eachField(step, (value, field) => {
+            if (value === undefined || value === null || value === '') return value;
+            if (Object.prototype.hasOwnProperty.call(step.table, value)) return step.table[value];
+            if (step.hasOwnProperty('default')) return step.default;
+            if (step.strict) return reject(`No lookup value for "${field}": ${value}`);
+            return value;
+        });
+    },
+
+    replace: step => {
+        if (step.pattern === undefined) throw new Error('replace step requires a "pattern"');
+
+        const pattern = step.pattern instanceof RegExp ?
+            step.pattern :
+            new RegExp(step.pattern, step.flags === undefined ? 'g' : step.flags);
+
+        const replacement = step.replacement === undefined ? '' : step.replacement;
+
+        return eachString(step, value => value.replace(pattern, replacement));
+    },
+
+    compute: step => {
+        if (!step.field) throw new Error('compute step requires a "field"');
+
+        if (typeof step.value === 'function') {
+            return (record, context) => then(step.value(record, context), value => {
+                if (value instanceof Rejection) return value;
+                record[step.field] = value;
+                return record;
+            });
+        }
+
+        if (typeof step.template === 'string') {
+            return record => {
+                record[step.field] = step.template.replace(/\{([^}]+)\}/g, (_, key) => {
+                    let value = getPath(record, key.trim());
+                    return value === undefined || value === null ? '' : value;
+                });
+                return record;
+            };
+        }
+
+        return record => {
+            record[step.field] = step.value;
+            return record;
+        };
+    },
+
+    filter: step => {
+        const where = compileWhere(step.where);
+        return (record, context) => then(where(record, context), matches => {
+            return matches ? record : reject(step.reason || 'Filtered out');
+        });
+    },
+
+    drop: step => {
+        const where = compileWhere(step.where);
+        return (record, context) => then(where(record, context), matches => {
+            return matches ? reject(step.reason || 'Dropped') : record;
+        });
+    },
+};
+
+/**
+ * Chain of transform steps.
+ */
+class TransformPipeline {
+    /**
+     * @param {Array} steps
+     * @param {Object} [options={}]
+     * @param {Function} options.pluginProvider Loads module steps
+     */
+    constructor(steps = [], options = {}) {
+        this.steps = [].concat(steps).map((step, index) => compileStep(step, index, options));
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    /**
+     * Run `record` through all steps.
+     *
+     * Resolves to `{record}` or, if a step rejected
+     * it, to `{rejection}` with the `step` index, `op`,
+     * `reason` and `row`.
+     *
+     * @param {Object} record
+     * @param {Object} [context={}] E.g. `row` and `identity`
+     * @returns {Promise<Object>}
+     */
+    async run(record, context = {}) {
+        let current = Object.assign({}, record);
+
+        for (const step of this.steps) {
+            const stepContext = Object.assign({}, context, { step: step.index, reject });
+
+            let result;
+
+            try {
+                let when = step.when ? step.when(current, stepContext) : true;
+                if (when && typeof when.then === 'function') when = await when;
+                if (!when) continue;
+
+                result = step.fn(current, stepContext);
+                if (result && typeof result.then === 'function') result = await result;
+            } catch (error) {
+                result = reject(error.message);
+            }
+
+            if (result === false || result === null || result === undefined) {
+                result = reject(`Rejected by ${step.op}`);
+            }
+
+            if (result instanceof Rejection) {
+                return {
+                    rejection: {
+                        step: step.index,
+                        op: step.op,
+                        reason: result.reason,
+                        row: context.row,
+                        record,
+                    },
+                };
+            }
+
+            current = result;
+        }
+
+        return { record: current };
+    }
+}
+
+function compileStep(step, index, options = {}) {
+    if (typeof step === 'string') {
+        if (OPERATORS[step]) step = { op: step };
+        else step = loadPlugin(step, options);
+    }
+
+    if (typeof step === 'function') {
+        return { index, op: step.name || 'function', fn: step };
+    }
+
+    if (!step || typeof step !== 'object') {
+        throw new Error(`Invalid transform step at ${index}`);
+    }
+
+    if (!OPERATORS[step.op]) {
+        throw new Error(`Unknown transform operator "${step.op}" at ${index}`);
+    }
+
+    return {
+        index,
+        op: step.op,
+        fn: OPERATORS[step.op](step),
+        when: step.when === undefined ? undefined : compileWhere(step.when),
+    };
+}
+
+function loadPlugin(path, options) {
+    if (typeof options.pluginProvider !== 'function') {
+        throw new Error(`Unknown transform step "${path}"`);
+    }
+    let step = options.pluginProvider(path);
+    if (typeof step !== 'function') {
+        throw new Error(`Transform module "${path}" must export a function`);
+    }
+    return step;
+}
+
+/**
+ * Apply `fn` to the step fields, or to all
+ * fields if none given. A field can be renamed
+ * using `as`, only if there is a single field.
+ */
+function eachField(step, fn) {
+    const fields = step.fields || (step.field ? [step.field] : undefined);
+
+    return record => {
+        const keys = fields || Object.keys(record);
+
+        for (const field of keys) {
+            let value = fn(getPath(record, field), field);
+
+            if (value instanceof Rejection) return value;
+
+            let target = step.as && keys.length === 1 ? step.as : field;
+
+            if (value === undefined) delete record[target];
+            else record[target] = value;
+        }
+
+        return record;
+    };
+}
+
+function eachString(step, fn) {
+    return eachField(step, value => typeof value === 'string' ? fn(value) : value);
+}
+
+/**
+ * Compile a `where` condition. Either a function
+ * or an object matching field values: arrays
+ * match any of their values and RegExps test
+ * string values.
+ * @param {Object|Function} where
+ * @returns {Function}
+ */
+function compileWhere(where) {
+    if (typeof where === 'function') return where;
+
+    if (!where || typeof where !== 'object') {
+        throw new Error('Transform condition must be an object or a function');
+    }
+
+    return record => Object.keys(where).every(key => {
+        let expected = where[key];
+        let value = getPath(record, key);
+        if (Array.isArray(expected)) return expected.includes(value);
+        if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+        return value === expected;
+    });
+}
+
+function getPath(record, path) {
+    if (Object.prototype.hasOwnProperty.call(record, path)) return record[path];
+    return path.split('.').reduce((value, key) => {
+        return value === undefined || value === null ? undefined : value[key];
+    }, record);
+}
+
+function then(value, fn) {
+    if (value && typeof value.then === 'function') return value.then(fn);
+    return fn(value);
+}
+
+const TOKENS = {
+    YYYY: { pattern: '(\\d{4})', part: 'year' },
+    MM: { pattern: '(\\d{1,2})', part: 'month' },
+    DD: { pattern: '(\\d{1,2})', part: 'day' },
+    HH: { pattern: '(\\d{1,2})', part: 'hours' },
+    mm: { pattern: '(\\d{1,2})', part: 'minutes' },
+    ss: { pattern: '(\\d{1,2})', part: 'seconds' },
+    SSS: { pattern: '(\\d{1,3})', part: 'milliseconds' },
+};
+
+const TOKEN_RE = /YYYY|MM|DD|HH|mm|ss|SSS/g;
+
+/**
+ * Parse a date using a format with `YYYY`, `MM`,
+ * `DD`, `HH`, `mm`, `ss` and `SSS` tokens. Without
+ * a format we use the Date constructor.
+ * @param {String} value
+ * @param {String} [format]
+ * @param {Boolean} [utc=false]
+ * @returns {Date|undefined}
+ */
+function parseDate(value, format, utc = false) {
+    if (!format) {
+        let date = new Date(value);
+        return isNaN(date) ? undefined : date;
+    }
+
+    const parts = [];
+    const source = format.split(TOKEN_RE).map(chunk => {
+        return chunk.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+
+    let pattern = source[0];
+    let index = 1;
+    format.replace(TOKEN_RE, token => {
+        parts.push(TOKENS[token].part);
+        pattern += TOKENS[token].pattern + source[index++];
+        return token;
+    });
+
+    const match = new RegExp(`^${pattern}$`).exec(value);
+    if (!match) return;
+
+    const date = { year: 1970, month: 1, day: 1, hours: 0, minutes: 0, seconds: 0, milliseconds: 0 };
+    parts.forEach((part, i) => date[part] = parseInt(match[i + 1], 10));
+
+    const args = [date.year, date.month - 1, date.day, date.hours, date.minutes, date.seconds, date.milliseconds];
+    const out = utc ? new Date(Date.UTC(...args)) : new Date(...args);
+
+    //Reject overflows, e.g. 31/02
+    const check = utc ? out.getUTCDate() : out.getDate();
+    if (isNaN(out) || check !== date.day) return;
+
+    return out;
+}
+
+/**
+ * Format a date using the same tokens as
+ * `parseDate`. Without a format we return
+ * an ISO string.
+ * @param {Date} date
+ * @param {String} [format]
+ * @param {Boolean} [utc=false]
+ * @returns {String}
+ */
+function formatDate(date, format, utc = false) {
+    if (!format) return date.toISOString();
+
+    const get = method => date[utc ? `getUTC${method}` : `get${method}`]();
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+    const values = {
+        YYYY: pad(get('FullYear'), 4),
+        MM: pad(get('Month') + 1),
+        DD: pad(get('Date')),
+        HH: pad(get('Hours')),
+        mm: pad(get('Minutes')),
+        ss: pad(get('Seconds')),
+        SSS: pad(get('Milliseconds'), 3),
+    };
+
+    return format.replace(TOKEN_RE, token => values[token]);
+}
+
+module.exports = TransformPipeline;
+module.exports.TransformPipeline = TransformPipeline;
+module.exports.OPERATORS = OPERATORS;
+module.exports.parseDate = parseDate;
+module.exports.formatDate = formatDate;
@@ -0,0 +1,150 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const { validationError } = require('./errors');
+
+/**
+ * Validate records against a Model's definition
+ * before we try to upsert them.
+ *
+ * We check required attributes, attribute types,
+ * enums and unique attributes duplicated in the
+ * same source. An instance keeps track of unique
+ * values seen so far, use one instance per import.
+ */
+class RecordValidator {
+    constructor(Model, identity) {
+        this.Model = Model;
+        this.identity = identity;
+        this.schema = Model.definition || {};
+        this.unique = {};
+
+        Object.keys(this.schema).forEach(key => {
+            if (this.schema[key].unique) this.unique[key] = new Map();
+        });
+    }
+
+    /**
+     * Validate a single record.
+     * @param {Object} record
+     * @param {Number} row Row number, starting at 1
+     * @returns {Array} List of errors, empty if valid
+     */
+    validate(record, row) {
+        let errors = [];
+
+        const fail = (path, rule, message) => {
+            errors.push(validationError(`Row ${row}: ${message}`, this.identity, {
+                row,
+                path,
+                rule,
+                record,
+            }));
+        };
+
+        Object.keys(this.schema).forEach(path => {
+            const definition = this.schema[path];
+            const value = record[path];
+
+            if (_isEmpty(value)) {
+                if (_isRequired(definition)) {
+                    fail(path, 'required', `"${path}" is required`);
+                }
+                return;
+            }
+
+            if (!_matchesType(definition, value)) {
+                fail(path, 'type', `"${path}" should be of type ${definition.type}, got ${JSON.stringify(value)}`);
+                return;
+            }
+
+            const values = _getEnum(definition);
+            if (values && !values.map(String).includes(String(value))) {
+                fail(path, 'enum', `"${path}" should be one of ${values.join(', ')}`);
+                return;
+            }
+
+            if (this.unique[path]) {
+                const key = String(value);
+                const seen = this.unique[path];
+                if (seen.has(key)) {
+                    fail(path, 'unique', `"${path}" duplicates row ${seen.get(key)}`);
+                } else seen.set(key, row);
+            }
+        });
+
+        return errors;
+    }
+}
+
+module.exports = RecordValidator;
+
+function _isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Fields we do not expect the source to provide,
+ * the ORM will generate them.
+ * @param {Object} definition Attribute definition
+ */
+function _isRequired(definition = {}) {
+    if (!definition.required) return false;
+    if (definition.autoIncrement) return false;
+    if (definition.autoCreatedAt || definition.autoUpdatedAt) return false;
+    if (definition.defaultsTo !== undefined) return false;
+    return true;
+}
+
+function _getEnum(definition = {}) {
+    if (Array.isArray(definition.enum)) return definition.enum;
+    if (Array.isArray(definition.in)) return definition.in;
+    if (definition.validations && Array.isArray(definition.validations.isIn)) {
+        return definition.validations.isIn;
+    }
+}
+
+/**
+ * Check a value against the attribute type.
+ * We are lenient with values the ORM would
+ * cast, e.g. a numeric string for a number
+ * attribute.
+ * @param {Object} definition Attribute definition
+ * @param {Mixed} value
+ */
+function _matchesType(definition = {}, value) {
+    /*
+     * Associations are resolved by the ORM.
+     */
+    if (definition.model || definition.collection) return true;
+
+    switch (definition.type) {
+        case 'string':
+        case 'text':
+        case 'mediumtext':
+        case 'longtext':
+            return typeof value === 'string' || typeof value === 'number';
+        case 'email':
+            return typeof value === 'string' && /^[^\s@]+@[^\s@]+$/.test(value);
+        case 'number':
+        case 'float':
+            return _isNumeric(value);
+        case 'integer':
+            return _isNumeric(value) && Number.isInteger(Number(value));
+        case 'boolean':
+            return typeof value === 'boolean' || ['true', 'false', '1', '0'].includes(String(value));
+        case 'date':
+        case 'datetime':
+            return value instanceof Date ? !isNaN(value) : !isNaN(new Date(value));
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+function _isNumeric(value) {
+    if (typeof value === 'number') return isFinite(value);
+    if (typeof value !== 'string' || value.trim() === '') return false;
+    return isFinite(Number(value));
+}
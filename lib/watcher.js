@@ -0,0 +1,243 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+    /**
+     * Number in milliseconds between
+     * directory scans.
+     */
+    interval: 1000,
+    /**
+     * Number in milliseconds a file size
+     * and modification time have to stay
+     * the same before we dispatch it.
+     */
+    stabilityThreshold: 2000,
+    /**
+     * Files we never dispatch, e.g. hidden
+     * files or partial uploads.
+     */
+    ignore: /(^|\/)\.|\.(tmp|part|crdownload)$/,
+};
+
+/**
+ * Watch a drop folder for an origin and
+ * emit `file` with a `data.sync` event once
+ * a file matching an entity stops changing.
+ *
+ * `entities` maps entity identities to
+ * one or more patterns matched against the
+ * file path relative to `path`:
+ * - `users-*.csv`: `*` matches within a directory.
+ * - `users/**`: `**` matches across directories.
+ * - `users/`: any file in the subdirectory.
+ * - A RegExp.
+ *
+ * A file is dispatched once two scans in a row
+ * see the same size and modification time, and
+ * neither changed for `stabilityThreshold`.
+ * Files already in the folder are picked up
+ * on the second scan. Files are dispatched once,
+ * if they are still there after the sync, e.g.
+ * `moveAfterDone` is not set, we dispatch them
+ * again only if they change.
+ *
+ * We poll the folder so it works on network
+ * shares and for files uploaded slowly.
+ */
+class DropFolderWatcher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        options = Object.assign({}, DEFAULTS, options);
+
+        if (!options.path) throw new Error('DropFolderWatcher requires a "path"');
+
+        this.origin = options.origin;
+        this.path = path.resolve(options.path);
+        this.interval = options.interval;
+        this.stabilityThreshold = options.stabilityThreshold;
+        this.ignore = options.ignore;
+        this.errorsPath = options.errorsPath;
+        this.historyPath = options.historyPath;
+        this.moveAfterDone = options.moveAfterDone;
+
+        this.matchers = compileEntities(options.entities || {});
+
+        /*
+         * Archive folders may live inside the
+         * drop folder, we don't want to pick
+         * up files we already processed.
+         */
+        this.excluded = [options.errorsPath, options.historyPath]
+            .filter(Boolean)
+            .map(dir => path.resolve(dir));
+
+        this._files = new Map();
+        this._timer = undefined;
+        this._scanning = false;
+        this.running = false;
+    }
+
+    start() {
+        if (this.running) return this;
+        this.running = true;
+        this._tick();
+        return this;
+    }
+
+    close() {
+        this.running = false;
+        clearTimeout(this._timer);
+        this._timer = undefined;
+        return this;
+    }
+
+    /**
+     * Entity for a file, if any.
+     * @param {String} filepath Absolute or relative to `path`
+     * @returns {String|undefined}
+     */
+    entityFor(filepath) {
+        const relative = path.relative(this.path, path.resolve(this.path, filepath)).split(path.sep).join('/');
+        if (this.ignore && this.ignore.test(relative)) return;
+        const matcher = this.matchers.find(matcher => matcher.regexp.test(relative));
+        return matcher ? matcher.entity : undefined;
+    }
+
+    /**
+     * List files and dispatch the ones that
+     * stopped changing.
+     * @returns {Promise}
+     */
+    scan() {
+        if (this._scanning) return Promise.resolve();
+        this._scanning = true;
+
+        const now = Date.now();
+
+        return this._list(this.path).then(files => {
+            const seen = new Set();
+
+            files.forEach(file => {
+                seen.add(file.filepath);
+                this._check(file, now);
+            });
+
+            for (let filepath of this._files.keys()) {
+                if (!seen.has(filepath)) this._files.delete(filepath);
+            }
+        }).catch(err => {
+            this.emit('error', err);
+        }).then(_ => {
+            this._scanning = false;
+        });
+    }
+
+    _tick() {
+        this.scan().then(_ => {
+            if (!this.running) return;
+            this._timer = setTimeout(_ => this._tick(), this.interval);
+        });
+    }
+
+    _check(file, now) {
+        const signature = `${file.size}:${file.mtimeMs}`;
+        let state = this._files.get(file.filepath);
+
+        if (!state) {
+            /*
+             * Files we see for the first time are
+             * considered stable since they were
+             * last modified. We still wait for the
+             * next scan to see the same size and
+             * time, a copy might keep the mtime of
+             * the original file.
+             */
+            state = { signature, since: Math.min(file.mtimeMs, now) };
+            this._files.set(file.filepath, state);
+            return;
+        }
+
+        if (state.signature !== signature) {
+            state.signature = signature;
+            state.since = now;
+            return;
+        }
+
+        if (state.dispatched === signature) return;
+
+        if (now - state.since < this.stabilityThreshold) return;
+
+        const action = state.dispatched ? 'change' : 'add';
+        state.dispatched = signature;
+
+        this.emit('file', {
+            entity: file.entity,
+            origin: this.origin,
+            action,
+            filepath: file.filepath,
+            errorsPath: this.errorsPath,
+            historyPath: this.historyPath,
+            moveAfterDone: this.moveAfterDone,
+        });
+    }
+
+    _list(dirname) {
+        return fsx.readdir(dirname).then(names => {
+            return Promise.all(names.map(name => {
+                const filepath = path.join(dirname, name);
+
+                if (this.excluded.includes(filepath)) return [];
+
+                return fsx.stat(filepath).then(stats => {
+                    if (stats.isDirectory()) return this._list(filepath);
+
+                    const entity = this.entityFor(filepath);
+                    if (!stats.isFile() || !entity) return [];
+
+                    return [{ filepath, entity, size: stats.size, mtimeMs: stats.mtimeMs }];
+                }, err => {
+                    //File was moved while we were scanning
+                    if (err.code === 'ENOENT') return [];
+                    return Promise.reject(err);
+                });
+            }));
+        }).then(lists => [].concat(...lists));
+    }
+}
+
+function compileEntities(entities) {
+    return Object.keys(entities).reduce((matchers, entity) => {
+        [].concat(entities[entity]).forEach(pattern => {
+            matchers.push({ entity, regexp: toRegExp(pattern) });
+        });
+        return matchers;
+    }, []);
+}
+
+/**
+ * Convert a pattern to a RegExp.
+ * @param {String|RegExp} pattern
+ * @returns {RegExp}
+ */
+function toRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+
+    if (pattern.endsWith('/')) pattern += '**';
+
+    const source = pattern.split('**').map(part => {
+        return part.split('*').map(chunk => {
+            return chunk.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('[^/]*');
+    }).join('.*');
+
+    return new RegExp(`^${source}$`);
+}
+
+module.exports = DropFolderWatcher;
+module.exports.DropFolderWatcher = DropFolderWatcher;
+module.exports.toRegExp = toRegExp;
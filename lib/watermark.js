@@ -0,0 +1,225 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const path = require('path');
+
+/**
+ * Default watermark store, keeps all
+ * watermarks in a single JSON file.
+ *
+ * A store is any object with async
+ * `get(key)` and `set(key, value)`
+ * methods. `set` with an `undefined`
+ * value removes the watermark.
+ */
+class FileWatermarkStore {
+    constructor(filename) {
+        this.filename = path.resolve(filename);
+        this._queue = Promise.resolve();
+    }
+
+    get(key) {
+        return this._read().then(data => data[key]);
+    }
+
+    set(key, value) {
+        /*
+         * Writes are serialized so concurrent
+         * exports don't overwrite each other.
+         */
+        const write = this._queue.then(_ => this._read()).then(data => {
+            if (value === undefined) delete data[key];
+            else data[key] = value;
+            return this._write(data);
+        });
+
+        this._queue = write.catch(_ => {});
+
+        return write;
+    }
+
+    _read() {
+        return fsx.readJson(this.filename).catch(err => {
+            if (err.code === 'ENOENT') return {};
+            return Promise.reject(err);
+        });
+    }
+
+    _write(data) {
+        const tmp = `${this.filename}.${process.pid}.tmp`;
+        return fsx.outputJson(tmp, data, { spaces: 4 }).then(_ => {
+            return fsx.move(tmp, this.filename, { overwrite: true });
+        });
+    }
+}
+
+/**
+ * Watermark store used when we don't
+ * have a `watermarksPath`.
+ */
+class MemoryWatermarkStore {
+    constructor() {
+        this.data = new Map();
+    }
+
+    get(key) {
+        return Promise.resolve(_copy(this.data.get(key)));
+    }
+
+    set(key, value) {
+        if (value === undefined) this.data.delete(key);
+        else this.data.set(key, _copy(value));
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Watermark for an incremental export of an
+ * entity to a destination.
+ *
+ * We keep the highest value of `field` we
+ * have exported and the primary keys of the
+ * records with that value. Next time we export
+ * records with a greater or equal value,
+ * leaving out those we already exported, so
+ * records sharing a timestamp are not lost.
+ *
+ * The store holds `{value, seen}`.
+ */
+class Watermark {
+    constructor(store, identity, destination, field = 'updatedAt', primaryKey = 'id') {
+        this.store = store;
+        this.key = `${identity}:${destination}`;
+        this.field = field;
+        this.primaryKey = primaryKey;
+        this.from = undefined;
+        this.value = undefined;
+        this.seen = undefined;
+        this.next = undefined;
+        this.nextSeen = new Set();
+        this.count = 0;
+    }
+
+    /**
+     * Get the value and seen keys of a
+     * stored watermark. Watermarks stored as
+     * a plain value have no seen keys.
+     * @param {Mixed} stored
+     * @returns {Object} `{value, seen}`
+     */
+    static parse(stored) {
+        if (stored && typeof stored === 'object' && Array.isArray(stored.seen)) return stored;
+        return { value: stored, seen: undefined };
+    }
+
+    load() {
+        return Promise.resolve(this.store.get(this.key)).then(stored => {
+            const { value, seen } = Watermark.parse(stored);
+            this.from = value;
+            this.value = value;
+            this.seen = seen && new Set(seen.map(String));
+            this.next = value;
+            this.nextSeen = new Set(this.seen);
+            return this;
+        });
+    }
+
+    /**
+     * Restrict `query` to records changed
+     * since our last export.
+     * @param {Object} query
+     * @returns {Object}
+     */
+    apply(query = {}) {
+        query = Object.assign({}, query);
+        query.sort = `${this.field} ASC`;
+
+        if (this.value === undefined || this.value === null) return query;
+
+        let operator = this.seen ? '>=' : '>';
+        let condition = { [this.field]: { [operator]: this.value } };
+        let criteria = query.criteria;
+
+        if (!criteria || Object.keys(criteria).length === 0) query.criteria = condition;
+        else query.criteria = { and: [criteria, condition] };
+
+        return query;
+    }
+
+    /**
+     * Should we export `record`. Records at
+     * the watermark value were exported last
+     * time if we have seen their primary key.
+     * @param {Object} record
+     * @returns {Boolean}
+     */
+    accepts(record = {}) {
+        if (!this.seen || !_equal(record[this.field], this.value)) return true;
+        return !this.seen.has(String(record[this.primaryKey]));
+    }
+
+    /**
+     * Keep track of the highest value
+     * for an exported record.
+     * @param {Object} record
+     */
+    track(record = {}) {
+        this.count++;
+        let value = record[this.field];
+        if (value === undefined || value === null) return;
+
+        if (_greater(value, this.next)) {
+            this.next = value;
+            this.nextSeen = new Set();
+        }
+
+        if (_equal(value, this.next)) this.nextSeen.add(String(record[this.primaryKey]));
+    }
+
+    /**
+     * Store the new watermark. Call once
+     * the export has been written.
+     * @returns {Promise}
+     */
+    save() {
+        if (!this.count || this.next === undefined || this.next === null) return Promise.resolve();
+        let value = this.next instanceof Date ? this.next.toISOString() : this.next;
+        let seen = Array.from(this.nextSeen);
+        return Promise.resolve(this.store.set(this.key, { value, seen })).then(_ => {
+            this.value = value;
+            this.seen = new Set(seen);
+        });
+    }
+
+    toJSON() {
+        return {
+            key: this.key,
+            field: this.field,
+            from: this.from,
+            to: this.next,
+            count: this.count,
+        };
+    }
+}
+
+function _copy(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function _equal(a, b) {
+    if (a === undefined || a === null || b === undefined || b === null) return false;
+    if (a instanceof Date || b instanceof Date) return +new Date(a) === +new Date(b);
+    return a === b;
+}
+
+function _greater(a, b) {
+    if (b === undefined || b === null) return true;
+    if (a instanceof Date || b instanceof Date) return new Date(a) > new Date(b);
+    return a > b;
+}
+
+module.exports = Watermark;
+module.exports.Watermark = Watermark;
+module.exports.FileWatermarkStore = FileWatermarkStore;
+module.exports.MemoryWatermarkStore = MemoryWatermarkStore;
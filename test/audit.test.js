@@ -0,0 +1,69 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const path = require('path');
+const fsx = require('fs-extra');
+const test = require('node:test');
+const assert = require('assert');
+const { FileAuditStore, MemoryAuditStore } = require('../lib/audit');
+const { tmpdir } = require('./helpers');
+
+function setup(t, options) {
+    const filename = path.join(tmpdir(t), 'audit.log');
+    return { filename, store: new FileAuditStore(filename, options) };
+}
+
+test('list returns runs most recent first', async t => {
+    const { store } = setup(t);
+
+    assert.deepStrictEqual(await store.list(), []);
+
+    await store.add({ id: 'a', entity: 'user', checksum: 'x', status: 'done' });
+    await store.add({ id: 'b', entity: 'user', checksum: 'y', status: 'done' });
+    await store.add({ id: 'c', entity: 'post', checksum: 'x', status: 'error' });
+
+    assert.deepStrictEqual((await store.list()).map(run => run.id), ['c', 'b', 'a']);
+    assert.deepStrictEqual((await store.list({ checksum: 'x', status: 'done' })).map(run => run.id), ['a']);
+    assert.strictEqual((await store.get('b')).checksum, 'y');
+});
+
+test('list picks up runs appended by other writers', async t => {
+    const { filename, store } = setup(t);
+
+    await store.add({ id: 'a' });
+    await fsx.appendFile(filename, JSON.stringify({ id: 'b' }) + '\n{"id":');
+
+    assert.deepStrictEqual((await store.list()).map(run => run.id), ['b', 'a']);
+
+    await fsx.appendFile(filename, '"c"}\n');
+    assert.deepStrictEqual((await store.list()).map(run => run.id), ['c', 'b', 'a']);
+
+    await fsx.writeFile(filename, JSON.stringify({ id: 'd' }) + '\n');
+    assert.deepStrictEqual((await store.list()).map(run => run.id), ['d']);
+});
+
+test('the file keeps the last maxRuns runs', async t => {
+    const { filename, store } = setup(t, { maxRuns: 10 });
+
+    for (let i = 0; i < 12; i++) await store.add({ id: `run${i}` });
+
+    const lines = (await fsx.readFile(filename, 'utf8')).split('\n').filter(Boolean);
+    const runs = await store.list();
+
+    assert.strictEqual(lines.length, 10);
+    assert.strictEqual(runs.length, 10);
+    assert.strictEqual(runs[0].id, 'run11');
+    assert.strictEqual(runs[9].id, 'run2');
+
+    const reopened = new FileAuditStore(filename);
+    assert.strictEqual((await reopened.list()).length, 10);
+});
+
+test('the memory store keeps the last maxRuns runs', async t => {
+    const store = new MemoryAuditStore({ maxRuns: 2 });
+
+    for (let i = 0; i < 3; i++) await store.add({ id: `run${i}`, checksum: 'x', status: 'done' });
+
+    assert.deepStrictEqual((await store.list({ checksum: 'x' })).map(run => run.id), ['run2', 'run1']);
+    assert.strictEqual(await store.get('run0'), undefined);
+});
@@ -0,0 +1,51 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager } = require('./helpers');
+
+test('batched imports upsert all records', async t => {
+    const User = createModel('user', USER, [{ id: 1, email: 'a@x.com', name: 'A' }]);
+    const manager = setupManager(t, { user: User });
+
+    const records = [];
+    for (let i = 0; i < 7; i++) records.push({ email: `${i}@x.com`, name: `User ${i}` });
+    records.push({ email: 'a@x.com', name: 'Ann' });
+
+    const promise = manager.importAsModels('user', 'json', records, { batched: true, batchSize: 3, concurrency: 2 });
+    await promise;
+
+    assert.strictEqual(User.rows.length, 8);
+    assert.strictEqual(User.rows.find(row => row.id === 1).name, 'Ann');
+    assert.strictEqual(promise.job.processed, 8);
+});
+
+test('batched imports keep file order for the same identity', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', [
+        { email: 'a@x.com', name: 'first' },
+        { email: 'b@x.com', name: 'other' },
+        { email: 'a@x.com', name: 'second' },
+        { email: 'a@x.com', name: 'last' },
+    ], { batched: true, batchSize: 4, concurrency: 4 });
+
+    assert.strictEqual(User.rows.length, 2);
+    assert.strictEqual(User.rows.find(row => row.email === 'a@x.com').name, 'last');
+});
+
+test('batched truncate imports use createEach', async t => {
+    const User = createModel('user', USER, [{ id: 1, email: 'old@x.com' }]);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', [
+        { email: 'a@x.com' },
+        { email: 'b@x.com' },
+    ], { batched: true, truncate: true });
+
+    assert.deepStrictEqual(User.rows.map(row => row.email).sort(), ['a@x.com', 'b@x.com']);
+    assert.ok(User.calls.includes('createEach'));
+    assert.ok(!User.calls.includes('create'));
+});
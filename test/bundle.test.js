@@ -0,0 +1,109 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { ReferenceMap } = require('../lib/bundle');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+const ORGANIZATION = {
+    id: { type: 'number', primaryKey: true },
+    slug: { type: 'string', unique: true },
+    name: { type: 'string' },
+    owner: { model: 'user' },
+};
+
+const MEMBERSHIP = {
+    id: { type: 'number', primaryKey: true },
+    user: { model: 'user' },
+    organization: { model: 'organization' },
+    role: { type: 'string' },
+};
+
+function setup(t) {
+    const Models = {
+        user: createModel('user', USER),
+        organization: createModel('organization', ORGANIZATION),
+        membership: createModel('membership', MEMBERSHIP),
+    };
+    const manager = setupManager(t, Models, { importOptions: { resolveAssociations: false } });
+    return { Models, manager };
+}
+
+test('importBundle orders entities by dependencies and resolves references', async t => {
+    const { Models, manager } = setup(t);
+
+    writeFile(manager, 'users.csv', 'email,name\na@x.com,Ann\nb@x.com,Bob\n');
+
+    const manifest = writeFile(manager, 'manifest.json', JSON.stringify({
+        entities: {
+            membership: { records: [{ user: '@user:a@x.com', organization: '@org:acme', role: 'admin' }] },
+            organization: { records: [{ slug: 'acme', name: 'Acme', owner: '@user:b@x.com' }], ref: 'org' },
+            user: 'users.csv',
+        },
+    }));
+
+    const result = await manager.importBundle(manifest);
+
+    assert.deepStrictEqual(result.order, ['user', 'organization', 'membership']);
+    assert.deepStrictEqual(Models.organization.rows, [{ id: 1, slug: 'acme', name: 'Acme', owner: 2 }]);
+    assert.deepStrictEqual(Models.membership.rows, [{ id: 1, user: 1, organization: 1, role: 'admin' }]);
+});
+
+test('importBundle rejects records with unresolved references', async t => {
+    const { Models, manager } = setup(t);
+
+    const result = await manager.importBundle({
+        user: [{ email: 'a@x.com' }],
+        membership: [{ user: '@user:a@x.com' }, { user: '@user:z@x.com' }],
+    });
+
+    assert.strictEqual(Models.membership.rows.length, 1);
+    assert.deepStrictEqual(result.entities.membership.rejected.map(rejection => rejection.reason), [
+        'Unresolved reference @user:z@x.com',
+    ]);
+});
+
+test('importBundle fails on circular dependencies', async t => {
+    const { manager } = setup(t);
+    manager.modelProvider = identity => Promise.resolve(createModel(identity, {
+        id: { type: 'number', primaryKey: true },
+        other: { model: identity === 'a' ? 'b' : 'a' },
+    }));
+
+    await assert.rejects(manager.importBundle({ a: [], b: [] }), { code: 'E_BUNDLE_CYCLE' });
+});
+
+test('importBundle fails before importing if the key is not an attribute', async t => {
+    const { Models, manager } = setup(t);
+
+    await assert.rejects(manager.importBundle({ user: [{ email: 'a@x.com' }] }, {
+        entities: { user: { key: 'mail' } },
+    }), { code: 'E_BUNDLE_KEY' });
+
+    assert.strictEqual(Models.user.rows.length, 0);
+});
+
+test('importBundle defaults the key to the primary key', async t => {
+    const { Models, manager } = setup(t);
+
+    const result = await manager.importBundle({
+        membership: [{ organization: '@organization:1' }],
+        organization: [{ id: 1, name: 'Acme' }],
+    }, {
+        entities: { organization: { key: 'id' } },
+    });
+
+    assert.deepStrictEqual(result.order, ['organization', 'membership']);
+    assert.strictEqual(Models.membership.rows[0].organization, 1);
+    assert.deepStrictEqual(result.references.toJSON(), { organization: { 1: 1 }, membership: { 1: 1 } });
+});
+
+test('ReferenceMap handles upserts resolving to lists', t => {
+    const entry = { identity: 'user', ref: 'user', key: 'email' };
+    const references = new ReferenceMap([entry]);
+
+    references.add(entry, [[{ id: 7, email: 'a@x.com' }], { id: 8, email: 'b@x.com' }]);
+
+    assert.deepStrictEqual(references.toJSON(), { user: { 'a@x.com': 7, 'b@x.com': 8 } });
+});
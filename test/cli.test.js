@@ -0,0 +1,112 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const { execFile } = require('child_process');
+const { run } = require('../lib/cli');
+const { setupManager, writeFile } = require('./helpers');
+
+const CONFIG = `
+const { USER, createModel, logger } = require(${JSON.stringify(path.join(__dirname, 'helpers'))});
+const User = createModel('user', USER, [{ id: 1, email: 'a@x.com', name: 'Ann' }]);
+module.exports = {
+    logger,
+    models: { user: User },
+    importOptions: { getIdentityFields: () => ['email'] },
+};
+`;
+
+/**
+ * Manager defaults: CLI logger and identity
+ * fields `id`, `uuid` and unique attributes.
+ */
+const DEFAULT_CONFIG = `
+const { USER, createModel } = require(${JSON.stringify(path.join(__dirname, 'helpers'))});
+const User = createModel('user', Object.assign({ uuid: { type: 'string' } }, USER), [{ id: 1, email: 'a@x.com', name: 'Ann' }]);
+module.exports = { models: { user: User } };
+`;
+
+/**
+ * Create a temporary directory with
+ * our config module and `files`.
+ */
+function workspace(t, files = {}, config = CONFIG) {
+    const manager = setupManager(t, {});
+
+    writeFile(manager, 'data-manager.config.js', config);
+    Object.keys(files).forEach(name => writeFile(manager, name, files[name]));
+
+    return manager.tmpdir;
+}
+
+/**
+ * Run the CLI in a temporary directory
+ * with our config module.
+ */
+async function cli(t, argv, files = {}, config = CONFIG) {
+    const cwd = workspace(t, files, config);
+
+    const io = { stdout: new PassThrough(), stderr: new PassThrough(), cwd };
+    let stdout = '';
+    io.stdout.on('data', chunk => stdout += chunk);
+
+    const code = await run(argv.concat('--config', path.join(cwd, 'data-manager.config.js')), io);
+
+    return { code, stdout };
+}
+
+/**
+ * Run the `data-manager` binary in a child
+ * process, so we get everything written
+ * to stdout.
+ */
+function bin(t, argv, files = {}, config = CONFIG) {
+    const cwd = workspace(t, files, config);
+    const filename = path.join(__dirname, '..', 'bin', 'data-manager.js');
+
+    return new Promise(resolve => {
+        execFile(process.execPath, [filename].concat(argv), { cwd, timeout: 10000 }, (err, stdout) => {
+            resolve({ code: err ? err.code : 0, stdout });
+        });
+    });
+}
+
+test('export streams records to stdout', async t => {
+    const { code, stdout } = await cli(t, ['export', 'user', '--format', 'csv']);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(stdout, 'id,email,name\n1,a@x.com,Ann\n');
+});
+
+test('diff exits with 1 when the file has changes', async t => {
+    const { code, stdout } = await cli(t, ['diff', 'user', 'users.csv', '--json'], {
+        'users.csv': 'email,name\na@x.com,Ann\nb@x.com,Bob\n',
+    });
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(JSON.parse(stdout).summary.created, 1);
+});
+
+test('unknown commands exit with 2', async t => {
+    const { code } = await cli(t, ['nope']);
+    assert.strictEqual(code, 2);
+});
+
+test('--json output only holds JSON with the default config', async t => {
+    const files = { 'users.csv': 'email,name\na@x.com,Anna\nb@x.com,Bob\n' };
+
+    let { code, stdout } = await bin(t, ['diff', 'user', 'users.csv', '--json'], files, DEFAULT_CONFIG);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(JSON.parse(stdout).summary.created, 1);
+
+    ({ code, stdout } = await bin(t, ['import', 'user', 'users.csv', '--json'], files, DEFAULT_CONFIG));
+    assert.strictEqual(code, 0);
+
+    const summary = JSON.parse(stdout);
+    assert.strictEqual(summary.created, 1);
+    assert.strictEqual(summary.updated, 1);
+    assert.strictEqual(summary.upserted, 0);
+});
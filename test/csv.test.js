@@ -0,0 +1,60 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { createModel, setupManager } = require('./helpers');
+
+const POST = {
+    id: { type: 'number', primaryKey: true },
+    title: { type: 'string' },
+    owner: { model: 'user' },
+};
+
+const posts = () => [
+    { id: 1, title: 'First', owner: null },
+    { id: 2, title: 'Second', owner: { id: 3, email: 'a@x.com' } },
+];
+
+function streamCSV(manager, options) {
+    return manager.exportModelsStream('post', {}, 'csv', options).then(output => new Promise((resolve, reject) => {
+        let content = '';
+        output.on('data', chunk => content += chunk);
+        output.on('end', _ => resolve(content));
+        output.on('error', reject);
+    }));
+}
+
+test('dotted stream exports use fields for the header', async t => {
+    const Post = createModel('post', POST, posts());
+    const manager = setupManager(t, { post: Post });
+
+    const content = await streamCSV(manager, {
+        flatten: 'dotted',
+        fields: ['id', 'title', 'owner.id', 'owner.email'],
+    });
+
+    assert.strictEqual(content, 'id,title,owner.id,owner.email\n1,First,,\n2,Second,3,a@x.com\n');
+});
+
+test('dotted stream exports without fields use the first record', async t => {
+    const Post = createModel('post', POST, posts());
+    const manager = setupManager(t, { post: Post });
+
+    const content = await streamCSV(manager, { flatten: 'dotted' });
+
+    assert.strictEqual(content.split('\n')[0], 'id,title,owner');
+});
+
+test('only csv-stringify options are handed to the stringifier', async t => {
+    const Post = createModel('post', POST, posts());
+    const manager = setupManager(t, { post: Post });
+
+    const options = { quoted: true, recordDelimiter: 'windows', eof: false, objectMode: false, highWaterMark: 1 };
+
+    const content = await manager.exportModels('post', {}, 'csv', Object.assign({}, options));
+    assert.strictEqual(content, '"id","title","owner"\r\n"1","First",\r\n"2","Second","3"');
+
+    const streamed = await streamCSV(manager, Object.assign({}, options));
+    assert.strictEqual(streamed, content);
+});
@@ -0,0 +1,66 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+const stored = () => [
+    { id: 1, email: 'a@x.com', name: 'A' },
+    { id: 2, email: 'b@x.com', name: 'Bob' },
+];
+
+test('dry runs report what would change without writing', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    const report = await manager.importAsModels('user', 'json', [
+        { email: 'a@x.com', name: 'Ann' },
+        { email: 'b@x.com', name: 'Bob' },
+        { email: 'c@x.com', name: 'Cid' },
+    ], { dryRun: true });
+
+    assert.deepStrictEqual(report.summary, {
+        identity: 'user',
+        destroyed: 0,
+        created: 1,
+        updated: 1,
+        unchanged: 1,
+        failed: 0,
+        related: 0,
+        missing: 0,
+        rejected: 0,
+    });
+
+    assert.deepStrictEqual(report.created[0].criteria, { email: 'c@x.com' });
+    assert.deepStrictEqual(report.updated[0].diff, { name: { from: 'A', to: 'Ann' } });
+    assert.strictEqual(report.unchanged[0].stored.id, 2);
+
+    assert.deepStrictEqual(User.rows, stored());
+    assert.deepStrictEqual(User.calls, []);
+});
+
+test('dry runs report records matching more than one stored record', async t => {
+    const User = createModel('user', USER, stored().concat({ id: 3, email: 'a@x.com', name: 'Dup' }));
+    const manager = setupManager(t, { user: User });
+
+    const report = await manager.importAsModels('user', 'json', [{ email: 'a@x.com', name: 'Ann' }], { dryRun: true });
+
+    assert.strictEqual(report.failed.length, 1);
+    assert.strictEqual(report.failed[0].error.message, 'Criteria matches 2 records');
+    assert.deepStrictEqual(User.calls, []);
+});
+
+test('dry run reports of files serialize to JSON', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    const filename = writeFile(manager, 'users.csv', 'email,name\na@x.com,Ann\nc@x.com,Cid\n');
+    const report = JSON.parse(JSON.stringify(await manager.importFileAsModels('user', filename, { dryRun: true })));
+
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.summary.created, 1);
+    assert.strictEqual(report.summary.updated, 1);
+    assert.deepStrictEqual(report.updated[0].record, { email: 'a@x.com', name: 'Ann' });
+    assert.deepStrictEqual(User.rows, stored());
+});
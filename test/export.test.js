@@ -0,0 +1,69 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const path = require('path');
+const fsx = require('fs-extra');
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager } = require('./helpers');
+
+test('exports of unknown models reject with Model not found', async t => {
+    const manager = setupManager(t, {});
+
+    await assert.rejects(manager.exportModels('nope', {}, 'json'), /Model not found/);
+    await assert.rejects(manager.exportModelsStream('nope', {}, 'json'), /Model not found/);
+    await assert.rejects(manager.exportModelsToFile('nope', {}, 'json', { stream: true }), /Model not found/);
+});
+
+const users = count => Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    email: `${i + 1}@x.com`,
+    name: `User ${i + 1}`,
+}));
+
+/**
+ * Manager for `count` users, writing
+ * exported files to its temporary
+ * directory.
+ */
+function setup(t, count) {
+    const User = createModel('user', USER, users(count));
+    const manager = setupManager(t, { user: User });
+    manager.createFileNameFor = (identity, type) => path.join(manager.tmpdir, `${identity}.${type}`);
+    return { User, manager };
+}
+
+test('stream exports page through records and report progress', async t => {
+    const { User, manager } = setup(t, 5);
+
+    const progress = [];
+    manager.on('export.progress', event => progress.push(event));
+
+    const filename = await manager.exportModelsToFile('user', {}, 'json', { stream: true, pageSize: 2 });
+
+    assert.strictEqual(filename, path.join(manager.tmpdir, 'user.json'));
+    assert.deepStrictEqual(await fsx.readJson(filename), User.rows);
+    assert.deepStrictEqual(progress.map(event => event.exported), [2, 4, 5]);
+    assert.ok(progress.every(event => event.identity === 'user' && event.total === 5));
+});
+
+test('stream exports write the same file as buffered exports', async t => {
+    const { manager } = setup(t, 3);
+
+    const buffered = await manager.exportModelsToFile('user', {}, 'csv', { filename: path.join(manager.tmpdir, 'a.csv') });
+    const streamed = await manager.exportModelsToFile('user', {}, 'csv', { filename: path.join(manager.tmpdir, 'b.csv'), stream: true, pageSize: 2 });
+
+    assert.strictEqual(await fsx.readFile(streamed, 'utf8'), await fsx.readFile(buffered, 'utf8'));
+});
+
+test('stream exports paginate by cursor and honor skip and limit', async t => {
+    const { manager } = setup(t, 6);
+
+    const filename = await manager.exportModelsToFile('user', { skip: 1, limit: 4 }, 'json', {
+        stream: true,
+        pageSize: 3,
+        cursor: 'id',
+    });
+
+    assert.deepStrictEqual((await fsx.readJson(filename)).map(user => user.id), [2, 3, 4, 5]);
+});
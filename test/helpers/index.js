@@ -0,0 +1,242 @@
+/*jshint esversion:6, node:true*/
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fsx = require('fs-extra');
+const Manager = require('../..');
+
+/**
+ * In memory stand in for a Waterline
+ * collection, supporting the criteria
+ * the manager uses: values, lists, `in`,
+ * `>`, `>=`, `or` and `and`.
+ *
+ * Calls are recorded in `Model.calls`.
+ * Like Waterline, `updateOrCreate` resolves
+ * to a list when it updates a record.
+ *
+ * @param {String} identity
+ * @param {Object} definition Attributes
+ * @param {Array} [rows=[]] Stored records
+ * @returns {Object}
+ */
+function createModel(identity, definition, rows = []) {
+    let sequence = rows.reduce((max, row) => Math.max(max, row.id || 0), 0);
+
+    const copy = row => Object.assign({}, row);
+    const insert = record => {
+        const row = Object.assign({ id: ++sequence }, record);
+        rows.push(row);
+        return row;
+    };
+
+    const Model = {
+        identity,
+        definition,
+        attributes: definition,
+        primaryKey: 'id',
+        rows,
+        calls: [],
+
+        find(criteria = {}) {
+            const query = { skip: 0, limit: Infinity, sort: undefined };
+            const where = criteria.where || criteria;
+
+            const exec = () => {
+                let out = rows.filter(row => matches(row, where));
+                if (query.sort) {
+                    const key = String(query.sort).split(' ')[0];
+                    out = out.slice().sort((a, b) => a[key] > b[key] ? 1 : a[key] < b[key] ? -1 : 0);
+                }
+                return Promise.resolve(out.slice(query.skip, query.skip + query.limit).map(copy));
+            };
+
+            const chain = {
+                skip: value => (query.skip = value, chain),
+                limit: value => (query.limit = value, chain),
+                sort: value => (query.sort = value, chain),
+                populate: _ => chain,
+                then: (resolve, reject) => exec().then(resolve, reject),
+            };
+
+            return chain;
+        },
+
+        findOne(criteria = {}) {
+            const row = rows.find(row => matches(row, criteria));
+            return Promise.resolve(row && copy(row));
+        },
+
+        count(criteria = {}) {
+            return Promise.resolve(rows.filter(row => matches(row, criteria)).length);
+        },
+
+        create(record) {
+            Model.calls.push('create');
+            if (record.fail) return Promise.reject(new Error(`Failed ${record.email}`));
+            return Promise.resolve(copy(insert(record)));
+        },
+
+        createEach(records) {
+            Model.calls.push('createEach');
+            return Promise.resolve(records.map(record => copy(insert(record))));
+        },
+
+        update(criteria, values) {
+            Model.calls.push('update');
+            const found = rows.filter(row => matches(row, criteria));
+            found.forEach(row => Object.assign(row, values));
+            return Promise.resolve(found.map(copy));
+        },
+
+        updateOrCreate(criteria, record) {
+            Model.calls.push('updateOrCreate');
+            if (record.fail) return Promise.reject(new Error(`Failed ${record.email}`));
+            const row = rows.find(row => matches(row, criteria));
+            if (row) return Promise.resolve([copy(Object.assign(row, record))]);
+            return Promise.resolve(copy(insert(record)));
+        },
+
+        destroy(criteria = {}) {
+            Model.calls.push('destroy');
+            const found = rows.filter(row => matches(row, criteria));
+            found.forEach(row => rows.splice(rows.indexOf(row), 1));
+            return Promise.resolve(found.map(copy));
+        },
+    };
+
+    return Model;
+}
+
+function matches(row, criteria = {}) {
+    if (criteria.or) return criteria.or.some(criteria => matches(row, criteria));
+    if (criteria.and) return criteria.and.every(criteria => matches(row, criteria));
+
+    return Object.keys(criteria).every(key => {
+        const expected = criteria[key];
+
+        if (Array.isArray(expected)) return expected.includes(row[key]);
+
+        if (expected && typeof expected === 'object' && !(expected instanceof Date)) {
+            if (Array.isArray(expected.in)) return expected.in.includes(row[key]);
+            if (expected['>'] !== undefined) return row[key] > expected['>'];
+            if (expected['>='] !== undefined) return row[key] >= expected['>='];
+        }
+
+        return row[key] === expected;
+    });
+}
+
+const logger = {
+    debug() {},
+    info() {},
+    warn() {},
+    error() {},
+};
+
+/**
+ * Users identified by `email`.
+ */
+const USER = {
+    id: { type: 'number', primaryKey: true },
+    email: { type: 'string', unique: true },
+    name: { type: 'string' },
+};
+
+/**
+ * Create a manager for `Models`, keyed by
+ * identity, with its stores in a temporary
+ * directory. Records are matched by their
+ * unique attributes or primary key.
+ *
+ * @param {Object} Models
+ * @param {Object} [config={}]
+ * @returns {Manager}
+ */
+function createManager(Models, config = {}) {
+    const dirname = mkdtemp();
+
+    const manager = new Manager(Object.assign({
+        logger,
+        modelProvider: identity => Promise.resolve(Models[identity]),
+        watermarksPath: path.join(dirname, 'watermarks.json'),
+        auditPath: path.join(dirname, 'audit.log'),
+        rowHashesPath: path.join(dirname, 'row-hashes'),
+        retriesPath: path.join(dirname, 'retries'),
+    }, config, {
+        importOptions: Object.assign({
+            getIdentityFields: uniqueAttributes,
+        }, config.importOptions),
+    }));
+
+    manager.tmpdir = dirname;
+
+    return manager;
+}
+
+/**
+ * Records are matched by their unique
+ * attributes or their primary key.
+ */
+function uniqueAttributes(Model) {
+    const unique = Object.keys(Model.definition).filter(key => Model.definition[key].unique);
+    return unique.length ? unique : [Model.primaryKey];
+}
+
+/**
+ * Write `content` to a file in the
+ * manager's temporary directory.
+ * @returns {String} Filename
+ */
+function writeFile(manager, name, content) {
+    const filename = path.join(manager.tmpdir, name);
+    fsx.outputFileSync(filename, content);
+    return filename;
+}
+
+function cleanup(manager) {
+    return fsx.remove(manager.tmpdir);
+}
+
+/**
+ * Create a manager with `createManager`,
+ * removing its temporary directory
+ * after the test `t`.
+ *
+ * @param {TestContext} t
+ * @param {Object} Models
+ * @param {Object} [config={}]
+ * @returns {Manager}
+ */
+function setupManager(t, Models, config = {}) {
+    const manager = createManager(Models, config);
+    t.after(_ => cleanup(manager));
+    return manager;
+}
+
+/**
+ * Temporary directory removed
+ * after the test `t`.
+ * @returns {String} Dirname
+ */
+function tmpdir(t) {
+    const dirname = mkdtemp();
+    t.after(_ => fsx.remove(dirname));
+    return dirname;
+}
+
+function mkdtemp() {
+    return fsx.mkdtempSync(path.join(os.tmpdir(), 'data-manager-'));
+}
+
+module.exports = {
+    USER,
+    createModel,
+    createManager,
+    setupManager,
+    tmpdir,
+    writeFile,
+    cleanup,
+    logger,
+};
@@ -0,0 +1,113 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager, writeFile, logger } = require('./helpers');
+
+const CSV = 'email,name\na@x.com,Ann\nb@x.com,Bob\nc@x.com,Cid\n';
+
+test('importAsModels creates and updates records', async t => {
+    const User = createModel('user', USER, [{ id: 1, email: 'a@x.com', name: 'A' }]);
+    const manager = setupManager(t, { user: User });
+
+    const promise = manager.importAsModels('user', 'json', [
+        { email: 'a@x.com', name: 'Ann' },
+        { email: 'b@x.com', name: 'Bob' },
+    ]);
+
+    const records = await promise;
+
+    assert.strictEqual(records.length, 2);
+    assert.deepStrictEqual(User.rows, [
+        { id: 1, email: 'a@x.com', name: 'Ann' },
+        { id: 2, email: 'b@x.com', name: 'Bob' },
+    ]);
+    assert.strictEqual(promise.job.status, 'done');
+    assert.strictEqual(promise.job.processed, 2);
+});
+
+test('importFileAsModels streams files in batches', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const filename = writeFile(manager, 'users.csv', CSV);
+    const batches = [];
+    manager.on('records.csv', batch => batches.push(batch.length));
+
+    const records = await manager.importFileAsModels('user', filename, { stream: true, streamBatchSize: 2 });
+
+    assert.strictEqual(records.length, 3);
+    assert.deepStrictEqual(batches, [2, 1]);
+    assert.deepStrictEqual(User.rows.map(row => row.email).sort(), ['a@x.com', 'b@x.com', 'c@x.com']);
+});
+
+test('imports cool off every numberOfItemsBeforeDelay records', async t => {
+    const User = createModel('user', USER);
+    const delays = [];
+    const manager = setupManager(t, { user: User }, {
+        logger: Object.assign({}, logger, {
+            info(message) {
+                if (/Cooling off/.test(message)) delays.push(User.rows.length);
+            },
+        }),
+    });
+
+    const records = ['a', 'b', 'c', 'd', 'e'].map(name => ({ email: `${name}@x.com` }));
+
+    await manager.importAsModels('user', 'json', records, { numberOfItemsBeforeDelay: 2, delayAfterItemBatch: 1 });
+    assert.deepStrictEqual(delays, [2, 4]);
+
+    delays.length = 0;
+    await manager.importAsModels('user', 'json', records, { numberOfItemsBeforeDelay: 0 });
+    assert.deepStrictEqual(delays, []);
+});
+
+test('importFileStream rejects unknown types when iterated', async t => {
+    const manager = setupManager(t, {});
+
+    const records = manager.importFileStream('users.unknown', { type: 'unknown' });
+
+    await assert.rejects(records.next(), /No matching parser found: unknown/);
+});
+
+test('importFileStream does not open the file if the model is missing', async t => {
+    const manager = setupManager(t, {});
+
+    const filename = writeFile(manager, 'users.csv', CSV);
+    const createReadStream = fs.createReadStream;
+    let opened = 0;
+
+    fs.createReadStream = function(...args) {
+        opened++;
+        return createReadStream.apply(this, args);
+    };
+    t.after(_ => fs.createReadStream = createReadStream);
+
+    await assert.rejects(manager.importFileAsModels('user', filename, { stream: true }), /Model not found/);
+    assert.strictEqual(opened, 0);
+});
+
+test('importFileStream closes the file when we stop early', async t => {
+    const manager = setupManager(t, {});
+
+    const filename = writeFile(manager, 'users.csv', CSV);
+    const createReadStream = fs.createReadStream;
+    const streams = [];
+
+    fs.createReadStream = function(...args) {
+        const stream = createReadStream.apply(this, args);
+        streams.push(stream);
+        return stream;
+    };
+    t.after(_ => fs.createReadStream = createReadStream);
+
+    for await (const record of manager.importFileStream(filename)) {
+        assert.strictEqual(record.email, 'a@x.com');
+        break;
+    }
+
+    assert.strictEqual(streams.length, 1);
+    assert.strictEqual(streams[0].destroyed, true);
+});
@@ -0,0 +1,85 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager } = require('./helpers');
+
+const stored = () => [{ id: 1, email: 'a@x.com', name: 'A' }];
+
+const pick = (job, keys) => keys.reduce((out, key) => Object.assign(out, { [key]: job[key] }), {});
+
+test('imports register a job with counts and events', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User }, { progressInterval: 1 });
+
+    const events = [];
+    ['import.progress', 'import.done', 'import.failed'].forEach(event => {
+        manager.on(event, job => events.push([event, job.processed]));
+    });
+
+    const promise = manager.importAsModels('user', 'json', [
+        { email: 'a@x.com', name: 'Ann' },
+        { email: 'b@x.com', fail: true },
+        { email: 'c@x.com', name: 'Cid' },
+    ]);
+
+    const job = promise.job;
+    assert.strictEqual(manager.getJob(job.id), job);
+    assert.strictEqual(job.status, 'running');
+
+    await promise;
+
+    assert.deepStrictEqual(pick(job, ['entity', 'source', 'status', 'processed', 'created', 'updated', 'failed']), {
+        entity: 'user',
+        source: { type: 'json' },
+        status: 'done',
+        processed: 3,
+        created: 1,
+        updated: 1,
+        failed: 1,
+    });
+    assert.ok(job.endedAt >= job.startedAt);
+
+    assert.deepStrictEqual(events.map(event => event[0]).slice(-1), ['import.done']);
+    assert.deepStrictEqual(events.filter(event => event[0] === 'import.progress').map(event => event[1]).slice(0, 4), [0, 1, 2, 3]);
+
+    assert.deepStrictEqual(manager.listJobs({ entity: 'user', status: 'done' }), [job]);
+    assert.deepStrictEqual(manager.listJobs({ entity: 'post' }), []);
+});
+
+test('cancel stops the import before the next record', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User }, { progressInterval: 1 });
+
+    const promise = manager.importAsModels('user', 'json', [
+        { email: 'a@x.com', name: 'Ann' },
+        { email: 'b@x.com' },
+        { email: 'c@x.com' },
+    ]);
+
+    manager.on('import.progress', job => {
+        if (job.id === promise.job.id && job.processed === 1) manager.cancel(job.id);
+    });
+
+    const records = await promise;
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(promise.job.status, 'cancelled');
+    assert.deepStrictEqual(User.rows, [{ id: 1, email: 'a@x.com', name: 'Ann' }]);
+    assert.strictEqual(manager.cancel(promise.job.id), false);
+});
+
+test('failed imports emit import.failed', async t => {
+    const manager = setupManager(t, {});
+
+    const failed = new Promise(resolve => manager.once('import.failed', (job, err) => resolve({ job, err })));
+    const promise = manager.importAsModels('user', 'json', [{ email: 'a@x.com' }]);
+
+    await assert.rejects(promise, /Model not found/);
+
+    const { job, err } = await failed;
+    assert.strictEqual(job, promise.job);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.error.message, err.message);
+});
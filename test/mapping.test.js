@@ -0,0 +1,69 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { createModel, setupManager, writeFile } = require('./helpers');
+
+const MEMBER = {
+    id: { type: 'number', primaryKey: true },
+    email: { type: 'string', unique: true },
+    age: { type: 'number' },
+    active: { type: 'boolean' },
+    joined: { type: 'date' },
+    tags: { type: 'json' },
+    zip: { type: 'number' },
+    notes: { type: 'number' },
+    role: { type: 'string' },
+};
+
+const CSV = [
+    'E-mail,age,active,joined,tags,zip,notes,internal_id,role',
+    'a@x.com,30,yes,2026-01-02,"[""a"",""b""]",08001,12,7,admin',
+    'b@x.com,,0,,,,,8,',
+].join('\n') + '\n';
+
+const MAPPING = {
+    rename: { 'E-mail': 'email' },
+    drop: ['internal_id'],
+    defaults: { role: 'user' },
+    types: { zip: 'string', notes: false },
+};
+
+test('mappings rename, drop, default and coerce columns', async t => {
+    const Member = createModel('member', MEMBER);
+    const manager = setupManager(t, { member: Member }, { mappings: { member: MAPPING } });
+
+    const filename = writeFile(manager, 'members.csv', CSV);
+    await manager.importFileAsModels('member', filename);
+
+    assert.deepStrictEqual(Member.rows, [{
+        id: 1,
+        email: 'a@x.com',
+        age: 30,
+        active: true,
+        joined: new Date('2026-01-02'),
+        tags: ['a', 'b'],
+        zip: '08001',
+        notes: '12',
+        role: 'admin',
+    }, {
+        id: 2,
+        email: 'b@x.com',
+        active: false,
+        zip: '',
+        notes: '',
+        role: 'user',
+    }]);
+});
+
+test('options.mapping replaces the configured mapping', async t => {
+    const Member = createModel('member', MEMBER);
+    const manager = setupManager(t, { member: Member }, { mappings: { member: MAPPING } });
+
+    await manager.importAsModels('member', 'json', [{ mail: 'a@x.com', age: '30' }], {
+        mapping: { rename: { mail: 'email' }, coerce: false },
+    });
+
+    assert.deepStrictEqual(Member.rows, [{ id: 1, email: 'a@x.com', age: '30' }]);
+});
@@ -0,0 +1,67 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager } = require('./helpers');
+
+const stored = () => [
+    { id: 1, email: 'a@x.com' },
+    { id: 2, email: 'b@x.com' },
+    { id: 3, email: 'c@x.com' },
+];
+
+test('mirror delete removes records missing from the source', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    const promise = manager.importAsModels('user', 'json', [
+        { email: 'a@x.com' },
+        { email: 'b@x.com' },
+        { email: 'd@x.com' },
+    ], { mirror: 'delete', mirrorLimit: 50 });
+
+    const result = await promise;
+
+    assert.deepStrictEqual(User.rows.map(row => row.email), ['a@x.com', 'b@x.com', 'd@x.com']);
+    assert.strictEqual(result.mirror.removed, 1);
+    assert.deepStrictEqual(result.mirror.missing.map(row => row.id), [3]);
+    assert.strictEqual(promise.job.removed, 1);
+});
+
+test('mirror flag updates missing records', async t => {
+    const User = createModel('user', Object.assign({ deleted: { type: 'boolean' } }, USER), stored());
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', [
+        { email: 'a@x.com' },
+        { email: 'b@x.com' },
+    ], { mirror: 'flag', mirrorLimit: 50 });
+
+    assert.strictEqual(User.rows.length, 3);
+    assert.deepStrictEqual(User.rows.filter(row => row.deleted).map(row => row.id), [3]);
+});
+
+test('mirror aborts above the limit', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    await assert.rejects(manager.importAsModels('user', 'json', [{ email: 'a@x.com' }], {
+        mirror: 'delete',
+        mirrorLimit: 50,
+    }), { code: 'E_MIRROR_LIMIT' });
+
+    assert.strictEqual(User.rows.length, 3);
+});
+
+test('invalid mirror modes fail before writing', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    await assert.rejects(manager.importAsModels('user', 'json', [{ email: 'd@x.com' }], {
+        mirror: 'remove',
+    }), /Unknown mirror mode: remove/);
+
+    assert.deepStrictEqual(User.calls, []);
+    assert.deepStrictEqual(User.rows, stored());
+});
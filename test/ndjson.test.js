@@ -0,0 +1,52 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const path = require('path');
+const fsx = require('fs-extra');
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+const NDJSON = [
+    '{"email":"a@x.com","name":"Ann"}',
+    '{"email":"b@x.com",',
+    '',
+    '["c@x.com"]',
+    '{"email":"d@x.com","name":"Dan"}',
+].join('\n');
+
+for (const stream of [false, true]) {
+    test(`${stream ? 'stream' : 'buffered'} ndjson imports skip lines we can't parse`, async t => {
+        const User = createModel('user', USER);
+        const manager = setupManager(t, { user: User });
+
+        const filename = writeFile(manager, 'users.jsonl', NDJSON);
+        await manager.importFileAsModels('user', filename, { stream, streamBatchSize: 1 });
+
+        assert.deepStrictEqual(User.rows.map(row => row.email).sort(), ['a@x.com', 'd@x.com']);
+
+        const errors = manager.consumeErrorsFor('user');
+        assert.deepStrictEqual(errors.map(error => [error.code, error.line]), [['E_PARSE', 2], ['E_PARSE', 4]]);
+        assert.match(errors[1].message, /Line 4: expected an object/);
+    });
+}
+
+test('ndjson exports write one record per line', async t => {
+    const User = createModel('user', USER, [
+        { id: 1, email: 'a@x.com', name: 'Ann' },
+        { id: 2, email: 'b@x.com', name: 'Bob' },
+    ]);
+    const manager = setupManager(t, { user: User });
+
+    const expected = User.rows.map(row => JSON.stringify(row) + '\n').join('');
+
+    assert.strictEqual(await manager.exportModels('user', {}, 'ndjson'), expected);
+
+    const filename = await manager.exportModelsToFile('user', {}, 'jsonl', {
+        filename: path.join(manager.tmpdir, 'users.jsonl'),
+        stream: true,
+        pageSize: 1,
+    });
+
+    assert.strictEqual(await fsx.readFile(filename, 'utf8'), expected);
+});
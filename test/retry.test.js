@@ -0,0 +1,63 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager } = require('./helpers');
+
+test('transient errors are retried', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const updateOrCreate = User.updateOrCreate;
+    let attempts = 0;
+
+    User.updateOrCreate = function(criteria, record) {
+        if (++attempts < 3) {
+            const error = new Error('socket hang up');
+            error.code = 'ECONNRESET';
+            return Promise.reject(error);
+        }
+        return updateOrCreate(criteria, record);
+    };
+
+    await manager.importAsModels('user', 'json', [{ email: 'a@x.com' }], { retries: 2, retryDelay: 1 });
+
+    assert.strictEqual(attempts, 3);
+    assert.strictEqual(User.rows.length, 1);
+    assert.deepStrictEqual(manager.consumeErrorsFor('user'), []);
+});
+
+test('other errors are not retried', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', [{ email: 'a@x.com', fail: true }], { retries: 2, retryDelay: 1 });
+
+    assert.strictEqual(User.calls.length, 1);
+    assert.strictEqual(manager.consumeErrorsFor('user').length, 1);
+});
+
+test('retryFailed replays stored records', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', [
+        { email: 'a@x.com' },
+        { email: 'b@x.com', fail: true },
+    ], { retryFailed: true });
+
+    const entries = await manager.listRetries('user');
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].record.email, 'b@x.com');
+
+    let result = await manager.retryFailed('user', { force: true });
+    assert.strictEqual(result.failed.length, 1);
+    assert.strictEqual(result.remaining, 1);
+
+    result = await manager.retryFailed('user', { force: true, patch: { fail: false } });
+    assert.strictEqual(result.succeeded.length, 1);
+    assert.strictEqual(result.remaining, 0);
+    assert.deepStrictEqual(User.rows.map(row => row.email), ['a@x.com', 'b@x.com']);
+    assert.deepStrictEqual(await manager.listRetries('user'), []);
+});
@@ -0,0 +1,161 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('assert');
+const createRouter = require('../lib/http/router');
+const { USER, createModel, setupManager } = require('./helpers');
+
+const CSV = 'email,name\na@x.com,Ann\n';
+
+/**
+ * Start a server for `router` and return
+ * a function making requests to it.
+ */
+function listen(t, router) {
+    const server = http.createServer(router);
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(_ => {
+        t.after(_ => new Promise(resolve => server.close(resolve)));
+
+        const port = server.address().port;
+
+        return (method, path, body, headers = {}) => new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', _ => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : undefined }));
+            });
+            req.on('error', reject);
+            if (body) req.write(body);
+            req.end();
+        });
+    });
+}
+
+function setup(t, options = {}) {
+    const User = createModel('user', USER, [{ id: 1, email: 'old@x.com' }]);
+    const manager = setupManager(t, { user: User });
+
+    const router = createRouter(manager, Object.assign({ authorize: _ => true }, options));
+
+    return listen(t, router).then(request => ({ User, manager, request }));
+}
+
+test('createRouter requires auth or authorize', t => {
+    const manager = setupManager(t, {});
+
+    assert.throws(_ => createRouter(manager), /needs "auth" or "authorize"/);
+    assert.doesNotThrow(_ => createRouter(manager, { public: true }));
+    assert.doesNotThrow(_ => createRouter(manager, { auth: (req, res, next) => next() }));
+});
+
+test('imports accept allowed options', async t => {
+    const { User, request } = await setup(t);
+
+    const res = await request('POST', '/data/user/import?type=csv&dryRun=true', CSV);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.report.summary.created, 1);
+    assert.strictEqual(User.rows.length, 1);
+});
+
+test('imports reject options that are not allowed', async t => {
+    const { User, request } = await setup(t);
+
+    for (const query of ['truncate=true', 'mirror=delete', 'updateMethod=create', 'options={"identityFields":["name"]}']) {
+        const res = await request('POST', `/data/user/import?type=csv&${encodeURI(query)}`, CSV);
+        assert.strictEqual(res.status, 400, query);
+        assert.strictEqual(res.body.error.code, 'E_OPTION_NOT_ALLOWED');
+    }
+
+    assert.deepStrictEqual(User.rows, [{ id: 1, email: 'old@x.com' }]);
+    assert.deepStrictEqual(User.calls, []);
+});
+
+test('imports only accept plain mappings', async t => {
+    const { request } = await setup(t);
+
+    const mapping = encodeURIComponent(JSON.stringify({ rename: { mail: 'email' }, transform: './x' }));
+    const res = await request('POST', `/data/user/import?type=csv&mapping=${mapping}`, CSV);
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'E_BAD_REQUEST');
+});
+
+test('allowOptions enables more options', async t => {
+    const { User, request } = await setup(t, { allowOptions: ['truncate', 'transforms'] });
+
+    let res = await request('POST', '/data/user/import?type=csv&truncate=true', CSV);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(User.rows.map(row => row.email), ['a@x.com']);
+
+    const transforms = encodeURIComponent(JSON.stringify(['trim', { op: 'uppercase', field: 'name' }]));
+    res = await request('POST', `/data/user/import?type=csv&transforms=${transforms}`, CSV);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(User.rows[0].name, 'ANN');
+
+    const plugins = encodeURIComponent(JSON.stringify(['./plugins/evil']));
+    res = await request('POST', `/data/user/import?type=csv&transforms=${plugins}`, CSV);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'E_OPTION_NOT_ALLOWED');
+});
+
+test('authorize can reject requests', async t => {
+    const { request } = await setup(t, { authorize: (req, { action }) => action !== 'import' });
+
+    let res = await request('POST', '/data/user/import?type=csv', CSV);
+    assert.strictEqual(res.status, 403);
+
+    res = await request('GET', '/data/jobs');
+    assert.strictEqual(res.status, 200);
+});
+
+test('exports only accept watermark options in allowOptions', async t => {
+    const { manager, request } = await setup(t);
+
+    let res = await request('GET', '/data/user/export?incremental=true');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'E_OPTION_NOT_ALLOWED');
+
+    res = await request('GET', '/data/user/export?destination=api');
+    assert.strictEqual(res.status, 400);
+
+    assert.strictEqual(await manager.getWatermark('user', 'api'), undefined);
+});
+
+test('allowOptions enables incremental exports', async t => {
+    const { manager, request } = await setup(t, { allowOptions: ['incremental', 'destination'] });
+
+    const res = await request('GET', '/data/user/export?incremental=id&destination=api');
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, [{ id: 1, email: 'old@x.com' }]);
+
+    /*
+     * Stream exports save the watermark
+     * once the stream ends.
+     */
+    let watermark;
+    for (let i = 0; i < 50 && watermark === undefined; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        watermark = await manager.getWatermark('user', 'api');
+    }
+
+    assert.strictEqual(watermark, 1);
+});
+
+test('server errors respond with a generic message', async t => {
+    const { manager, request } = await setup(t, { allowOptions: ['transactional'] });
+
+    const logged = [];
+    manager.logger = Object.assign({}, manager.logger, { error: (...args) => logged.push(args.join(' ')) });
+
+    const res = await request('POST', '/data/user/import?type=csv&transactional=true', 'email,fail\nb@x.com,true\n');
+
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(res.body.error, { message: 'Internal server error', code: 'E_ROLLBACK' });
+    assert.strictEqual(res.body.job.error.message, 'Internal server error');
+    assert.ok(logged.some(line => line.includes('Import for user rolled back')));
+});
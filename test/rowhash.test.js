@@ -0,0 +1,55 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager } = require('./helpers');
+
+const records = () => [
+    { email: 'a@x.com', name: 'Ann' },
+    { email: 'b@x.com', name: 'Bob' },
+];
+
+test('skipUnchanged skips records with the same hash', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', records(), { skipUnchanged: true });
+    assert.strictEqual(User.calls.length, 2);
+
+    const changed = records();
+    changed[1].name = 'Bobby';
+
+    User.calls.length = 0;
+
+    const promise = manager.importAsModels('user', 'json', changed, { skipUnchanged: true });
+    await promise;
+
+    assert.deepStrictEqual(User.calls, ['updateOrCreate']);
+    assert.strictEqual(promise.job.unchanged, 1);
+    assert.strictEqual(promise.job.upserted + promise.job.updated, 1);
+    assert.strictEqual(User.rows.find(row => row.email === 'b@x.com').name, 'Bobby');
+});
+
+test('skipUnchanged does not store hashes for dry runs', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', records(), { skipUnchanged: true, dryRun: true });
+    await manager.importAsModels('user', 'json', records(), { skipUnchanged: true });
+
+    assert.strictEqual(User.rows.length, 2);
+});
+
+test('truncate imports write all records', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', records(), { skipUnchanged: true });
+
+    const promise = manager.importAsModels('user', 'json', records(), { skipUnchanged: true, truncate: true });
+    await promise;
+
+    assert.strictEqual(promise.job.unchanged, 0);
+    assert.strictEqual(User.rows.length, 2);
+});
@@ -0,0 +1,53 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const sniff = require('../lib/sniff');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+test('sniff detects JSON and NDJSON', t => {
+    assert.deepStrictEqual(sniff('[{"a":1}]'), { type: 'json', confidence: 1 });
+    assert.strictEqual(sniff('{"a":1}\n{"a":2}\n').type, 'ndjson');
+    assert.deepStrictEqual(sniff('[{"a":1},', false), { type: 'json', confidence: 0.6 });
+});
+
+test('sniff detects the delimiter and header', t => {
+    assert.deepStrictEqual(sniff('email\tname\na@x.com\tAnn\nb@x.com\tBob\n'), {
+        type: 'tsv',
+        delimiter: '\t',
+        header: true,
+        confidence: 1,
+    });
+
+    assert.deepStrictEqual(sniff('1;Ann;"a;b"\n2;Bob;c\n'), {
+        type: 'csv',
+        delimiter: ';',
+        header: false,
+        confidence: 1,
+    });
+});
+
+test('sniff reads single column files with the fallback delimiter', t => {
+    assert.deepStrictEqual(sniff('email\na@x.com\nb@x.com\n'), {
+        type: 'csv',
+        delimiter: ',',
+        header: true,
+        confidence: 0.5,
+    });
+
+    assert.strictEqual(sniff('name\nDoe, Jane\nRoe, Ann\nBob\n', true, { delimiter: '|' }).delimiter, '|');
+    assert.strictEqual(sniff('email\n').confidence, 0.25);
+});
+
+test('single column files without extension are imported', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const filename = writeFile(manager, 'users', 'email\na@x.com\nb@x.com\n');
+
+    const users = await manager.importFileAsModels('user', filename);
+
+    assert.strictEqual(users.detected.type, 'csv');
+    assert.deepStrictEqual(User.rows.map(row => row.email).sort(), ['a@x.com', 'b@x.com']);
+});
@@ -0,0 +1,52 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const fsx = require('fs-extra');
+const test = require('node:test');
+const assert = require('assert');
+const Manager = require('..');
+const { USER, createModel, tmpdir, logger } = require('./helpers');
+
+test('stores are kept in memory unless we have a path', async t => {
+    const dirname = tmpdir(t);
+    const cwd = process.cwd();
+
+    process.chdir(dirname);
+    t.after(_ => process.chdir(cwd));
+
+    const User = createModel('user', Object.assign({ updatedAt: { type: 'string' } }, USER));
+    const manager = new Manager({
+        logger,
+        modelProvider: identity => Promise.resolve(User),
+        importOptions: { getIdentityFields: _ => ['email'] },
+    });
+
+    const records = [{ email: 'a@x.com', updatedAt: '2026-01-01' }, { email: 'b@x.com', fail: true }];
+
+    await manager.importAsModels('user', 'json', records, { skipUnchanged: true, retryFailed: true });
+    await manager.exportModels('user', {}, 'json', { incremental: true, destination: 'api' });
+    await manager.recordRun({ entity: 'user', status: 'done', checksum: 'x' });
+
+    assert.strictEqual(await manager.getWatermark('user', 'api'), '2026-01-01');
+    assert.strictEqual((await manager.listRetries('user')).length, 1);
+    assert.strictEqual((await manager.listRuns({ checksum: 'x' })).length, 1);
+    assert.strictEqual(Object.keys(await manager.rowHashStore.load('user')).length, 1);
+
+    assert.deepStrictEqual(await fsx.readdir(dirname), []);
+});
+
+test('stores use files at the paths we are given', t => {
+    const manager = new Manager({
+        logger,
+        modelProvider: _ => Promise.resolve(),
+        watermarksPath: 'watermarks.json',
+        auditPath: 'audit.log',
+        rowHashesPath: 'row-hashes',
+        retriesPath: 'retries',
+    });
+
+    assert.strictEqual(manager.watermarkStore.constructor.name, 'FileWatermarkStore');
+    assert.strictEqual(manager.auditStore.constructor.name, 'FileAuditStore');
+    assert.strictEqual(manager.rowHashStore.constructor.name, 'FileRowHashStore');
+    assert.strictEqual(manager.retryStore.constructor.name, 'FileRetryStore');
+});
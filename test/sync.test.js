@@ -0,0 +1,123 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const dataSync = require('../lib/commands/data.sync');
+const { USER, createModel, setupManager, writeFile, logger } = require('./helpers');
+
+/**
+ * Application context recording
+ * emitted commands.
+ */
+function createContext(manager, config = {}) {
+    const emitted = [];
+    return {
+        emitted,
+        datamanager: manager,
+        getLogger: _ => logger,
+        config: { get: (key, value) => config[key] === undefined ? value : config[key] },
+        hasCommand: _ => true,
+        emit: (command, event) => emitted.push({ command, event }),
+    };
+}
+
+test('dry runs wait for the entity lock', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const filepath = writeFile(manager, 'users.csv', 'email\na@x.com\n');
+    const context = createContext(manager);
+
+    const recorded = new Promise(resolve => manager.once('sync.run', resolve));
+
+    let release;
+    const running = manager.runExclusive('user', _ => new Promise(resolve => release = resolve));
+
+    const sync = dataSync({ context, entity: 'user', origin: 'ftp', filepath, dryRun: true });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual(context.emitted, []);
+    assert.deepStrictEqual(User.calls, []);
+
+    release();
+    await running;
+    await sync;
+    await recorded;
+
+    assert.deepStrictEqual(context.emitted.map(emitted => emitted.command), ['data.sync.dryrun']);
+    assert.strictEqual(User.rows.length, 0);
+});
+
+test('dry runs are skipped with the reject strategy', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const filepath = writeFile(manager, 'users.csv', 'email\na@x.com\n');
+    const context = createContext(manager);
+
+    const recorded = new Promise(resolve => manager.once('sync.run', resolve));
+
+    let release;
+    const running = manager.runExclusive('user', _ => new Promise(resolve => release = resolve));
+
+    await dataSync({ context, entity: 'user', origin: 'ftp', filepath, dryRun: true, lockStrategy: 'reject' });
+
+    release();
+    await running;
+
+    assert.strictEqual((await recorded).status, 'skipped');
+    assert.deepStrictEqual(context.emitted.map(emitted => emitted.event.reason), ['E_BUSY']);
+});
+
+test('files already imported are imported again by default', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const filepath = writeFile(manager, 'users.csv', 'email\na@x.com\n');
+    const context = createContext(manager);
+
+    for (let i = 0; i < 2; i++) {
+        const recorded = new Promise(resolve => manager.once('sync.run', resolve));
+        await dataSync({ context, entity: 'user', origin: 'ftp', filepath });
+        assert.strictEqual((await recorded).status, 'done');
+    }
+
+    assert.deepStrictEqual(context.emitted.map(emitted => emitted.command), ['data.sync.done', 'data.sync.done']);
+    assert.deepStrictEqual(User.calls, ['updateOrCreate', 'updateOrCreate']);
+});
+
+test('skipDuplicates skips files already imported', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const filepath = writeFile(manager, 'users.csv', 'email\na@x.com\n');
+    const context = createContext(manager);
+
+    const statuses = [];
+    for (let i = 0; i < 2; i++) {
+        const recorded = new Promise(resolve => manager.once('sync.run', resolve));
+        await dataSync({ context, entity: 'user', origin: 'ftp', filepath, skipDuplicates: true });
+        statuses.push((await recorded).status);
+    }
+
+    assert.deepStrictEqual(statuses, ['done', 'skipped']);
+    assert.strictEqual(context.emitted[1].event.reason, 'E_DUPLICATE');
+    assert.deepStrictEqual(User.calls, ['updateOrCreate']);
+});
+
+test('mappings are read from the origin config', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    const filepath = writeFile(manager, 'users.csv', 'E-mail,name\na@x.com,Ann\n');
+    const context = createContext(manager, {
+        [`${manager.moduleid}.ftp.mappings.user`]: { rename: { 'E-mail': 'email' } },
+    });
+
+    const recorded = new Promise(resolve => manager.once('sync.run', resolve));
+    await dataSync({ context, entity: 'user', origin: 'ftp', filepath });
+
+    assert.strictEqual((await recorded).status, 'done');
+    assert.deepStrictEqual(User.rows, [{ id: 1, email: 'a@x.com', name: 'Ann' }]);
+});
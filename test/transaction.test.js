@@ -0,0 +1,106 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+const stored = () => [
+    { id: 1, email: 'a@x.com', name: 'A' },
+    { id: 2, email: 'b@x.com', name: 'B' },
+];
+
+const records = [
+    { email: 'a@x.com', name: 'Ann' },
+    { email: 'c@x.com', name: 'Cid' },
+    { email: 'd@x.com', fail: true },
+];
+
+test('transactional imports roll back on errors', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    await assert.rejects(manager.importAsModels('user', 'json', records, { transactional: true }), err => {
+        assert.strictEqual(err.code, 'E_ROLLBACK');
+        assert.strictEqual(err.errors.length, 1);
+        return true;
+    });
+
+    assert.deepStrictEqual(User.rows, stored());
+});
+
+test('transactional imports commit below the rollback threshold', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    await manager.importAsModels('user', 'json', records, { transactional: true, rollbackThreshold: 1 });
+
+    assert.deepStrictEqual(User.rows.map(row => row.email), ['a@x.com', 'b@x.com', 'c@x.com']);
+});
+
+test('transactional truncate keeps stored rows until commit', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    const promise = manager.importAsModels('user', 'json', records.slice(0, 2), { transactional: true, truncate: true });
+    await promise;
+
+    assert.deepStrictEqual(User.rows, [
+        { id: 1, email: 'a@x.com', name: 'Ann' },
+        { id: 3, email: 'c@x.com', name: 'Cid' },
+    ]);
+    assert.strictEqual(promise.job.removed, 1);
+});
+
+test('transactional truncate rollback keeps ids', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    await assert.rejects(manager.importAsModels('user', 'json', records, { transactional: true, truncate: true }), {
+        code: 'E_ROLLBACK',
+    });
+
+    assert.deepStrictEqual(User.rows, stored());
+    assert.ok(!User.calls.includes('create'));
+});
+
+/**
+ * Identity fields by email, failing
+ * with an unhandled error for `d@x.com`.
+ */
+function throwingIdentityFields() {
+    return (Model, record) => {
+        if (record.email === 'd@x.com') throw new Error('Unexpected failure');
+        return ['email'];
+    };
+}
+
+test('transactional imports roll back on unhandled errors', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    await assert.rejects(manager.importAsModels('user', 'json', records.slice().reverse(), {
+        transactional: true,
+        getIdentityFields: throwingIdentityFields(),
+    }), /Unexpected failure/);
+
+    assert.ok(User.calls.includes('updateOrCreate'));
+    assert.deepStrictEqual(User.rows, stored());
+});
+
+test('transactional stream imports roll back on unhandled errors', async t => {
+    const User = createModel('user', USER, stored());
+    const manager = setupManager(t, { user: User });
+
+    const filename = writeFile(manager, 'users.csv', 'email,name\na@x.com,Ann\nc@x.com,Cid\nd@x.com,Dan\n');
+
+    await assert.rejects(manager.importFileAsModels('user', filename, {
+        stream: true,
+        streamBatchSize: 1,
+        transactional: true,
+        getIdentityFields: throwingIdentityFields(),
+    }), /Unexpected failure/);
+
+    assert.ok(User.calls.includes('updateOrCreate'));
+    assert.deepStrictEqual(User.rows, stored());
+});
@@ -0,0 +1,129 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const TransformPipeline = require('../lib/transforms');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+test('built-in operators transform each field', async t => {
+    const pipeline = new TransformPipeline([
+        'trim',
+        { op: 'lowercase', field: 'email' },
+        { op: 'uppercase', field: 'code' },
+        { op: 'split', field: 'tags', separator: '|' },
+        { op: 'parseDate', field: 'born', format: 'DD/MM/YYYY', utc: true },
+        { op: 'lookup', field: 'country', table: { Spain: 'ES' } },
+        { op: 'replace', field: 'phone', pattern: '[^0-9+]' },
+        { op: 'compute', field: 'name', template: '{first} {last}' },
+        { op: 'compute', field: 'slug', value: record => `${record.first}-${record.last}`.toLowerCase() },
+        { op: 'formatDate', field: 'born', format: 'YYYY-MM-DD', utc: true, as: 'birthday' },
+        { op: 'join', field: 'tags', separator: ', ' },
+    ]);
+
+    const { record } = await pipeline.run({
+        email: ' Ann@X.com ',
+        code: 'es',
+        tags: 'a | b||c',
+        born: '02/01/1990',
+        country: 'Spain',
+        phone: '+34 (600) 111-222',
+        first: 'Ann',
+        last: 'Lee',
+    });
+
+    assert.deepStrictEqual(record, {
+        email: 'ann@x.com',
+        code: 'ES',
+        tags: 'a, b, c',
+        born: new Date(Date.UTC(1990, 0, 2)),
+        birthday: '1990-01-02',
+        country: 'ES',
+        phone: '+34600111222',
+        first: 'Ann',
+        last: 'Lee',
+        name: 'Ann Lee',
+        slug: 'ann-lee',
+    });
+});
+
+test('steps report the records they reject', async t => {
+    const pipeline = new TransformPipeline([
+        { op: 'filter', where: { status: ['active', 'new'] } },
+        { op: 'drop', where: { email: /@test\./ }, reason: 'Test account' },
+        { op: 'lookup', field: 'country', table: { Spain: 'ES' }, strict: true },
+        { op: 'parseDate', field: 'born', format: 'YYYY-MM-DD' },
+        async (record, context) => record.banned ? context.reject('Banned') : record,
+        function throws(record) {
+            if (record.email === 'boom@x.com') throw new Error('Boom');
+            return record;
+        },
+    ]);
+
+    const run = async (record, row) => {
+        const { rejection } = await pipeline.run(record, { row });
+        return rejection && [rejection.row, rejection.step, rejection.op, rejection.reason];
+    };
+
+    assert.deepStrictEqual(await run({ status: 'gone' }, 1), [1, 0, 'filter', 'Filtered out']);
+    assert.deepStrictEqual(await run({ status: 'new', email: 'a@test.com' }, 2), [2, 1, 'drop', 'Test account']);
+    assert.deepStrictEqual(await run({ status: 'new', country: 'Peru' }, 3), [3, 2, 'lookup', 'No lookup value for "country": Peru']);
+    assert.deepStrictEqual(await run({ status: 'new', born: 'soon' }, 4), [4, 3, 'parseDate', 'Invalid date for "born": soon']);
+    assert.deepStrictEqual(await run({ status: 'new', banned: true }, 5), [5, 4, 'function', 'Banned']);
+    assert.deepStrictEqual(await run({ status: 'new', email: 'boom@x.com' }, 6), [6, 5, 'throws', 'Boom']);
+    assert.strictEqual(await run({ status: 'active', country: 'Spain' }, 7), undefined);
+});
+
+test('steps only run when their condition matches', async t => {
+    const pipeline = new TransformPipeline([
+        { op: 'uppercase', field: 'name', when: { role: 'admin' } },
+        { op: 'compute', field: 'flagged', value: true, when: record => record.name === 'BOB' },
+    ]);
+
+    assert.deepStrictEqual((await pipeline.run({ name: 'ann', role: 'user' })).record, { name: 'ann', role: 'user' });
+    assert.deepStrictEqual((await pipeline.run({ name: 'bob', role: 'admin' })).record, { name: 'BOB', role: 'admin', flagged: true });
+});
+
+test('invalid steps throw when the pipeline is created', t => {
+    assert.throws(_ => new TransformPipeline([{ op: 'nope' }]), /Unknown transform operator "nope" at 0/);
+    assert.throws(_ => new TransformPipeline(['trim', { op: 'lookup', field: 'country' }]), /lookup step requires a "table"/);
+    assert.throws(_ => new TransformPipeline(['./geocode']), /Unknown transform step "\.\/geocode"/);
+});
+
+test('imports run configured transforms and return rejected records', async t => {
+    const User = createModel('user', USER);
+    const plugin = `module.exports = record => Object.assign(record, { name: record.name || 'Anonymous' });`;
+    const manager = setupManager(t, { user: User });
+    const filename = writeFile(manager, 'default-name.js', plugin);
+
+    manager.transforms = {
+        user: [
+            { op: 'lowercase', field: 'email' },
+            { op: 'drop', where: { email: /@test\./ } },
+            filename,
+        ],
+    };
+
+    const promise = manager.importAsModels('user', 'json', [
+        { email: 'A@X.com', name: 'Ann' },
+        { email: 'b@test.com' },
+        { email: 'C@X.com' },
+    ]);
+    const records = await promise;
+
+    assert.deepStrictEqual(User.rows, [
+        { id: 1, email: 'a@x.com', name: 'Ann' },
+        { id: 2, email: 'c@x.com', name: 'Anonymous' },
+    ]);
+    assert.deepStrictEqual(records.rejected.map(rejection => [rejection.row, rejection.op, rejection.reason]), [
+        [2, 'drop', 'Dropped'],
+    ]);
+    assert.strictEqual(promise.job.rejected, 1);
+
+    const report = await manager.importAsModels('user', 'json', [{ email: 'x@test.com' }], {
+        dryRun: true,
+        transforms: [{ op: 'drop', where: { email: /@test\./ } }],
+    });
+
+    assert.strictEqual(report.summary.rejected, 1);
+});
@@ -0,0 +1,73 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { createModel, setupManager, writeFile } = require('./helpers');
+
+const MEMBER = {
+    id: { type: 'number', primaryKey: true },
+    email: { type: 'string', unique: true, required: true },
+    age: { type: 'number' },
+    role: { type: 'string', enum: ['admin', 'user'] },
+};
+
+const records = () => [
+    { email: 'a@x.com', age: '30', role: 'admin' },
+    { age: 20 },
+    { email: 'b@x.com', age: 'old' },
+    { email: 'c@x.com', role: 'owner' },
+    { email: 'a@x.com', role: 'user' },
+];
+
+const rules = errors => errors.map(error => [error.row, error.path, error.rule]);
+
+test('validation skips invalid records and reports them', async t => {
+    const Member = createModel('member', MEMBER);
+    const manager = setupManager(t, { member: Member });
+
+    await manager.importAsModels('member', 'json', records(), { validate: true });
+
+    assert.deepStrictEqual(Member.rows.map(row => row.email), ['a@x.com']);
+
+    const errors = manager.consumeErrorsFor('member');
+    assert.ok(errors.every(error => error.code === 'E_VALIDATION'));
+    assert.deepStrictEqual(rules(errors), [
+        [2, 'email', 'required'],
+        [3, 'age', 'type'],
+        [4, 'role', 'enum'],
+        [5, 'email', 'unique'],
+    ]);
+});
+
+test('strict validation rejects the import before writing', async t => {
+    const Member = createModel('member', MEMBER);
+    const manager = setupManager(t, { member: Member });
+
+    await assert.rejects(manager.importAsModels('member', 'json', records(), { validate: true, strictValidation: true }), err => {
+        assert.strictEqual(err.code, 'E_VALIDATION');
+        assert.strictEqual(err.errors.length, 4);
+        return true;
+    });
+
+    assert.deepStrictEqual(Member.calls, []);
+});
+
+test('strict validation of streaming imports checks the whole file first', async t => {
+    const Member = createModel('member', MEMBER);
+    const manager = setupManager(t, { member: Member });
+
+    const filename = writeFile(manager, 'members.csv', 'email,age\na@x.com,30\nb@x.com,31\nc@x.com,old\n');
+
+    await assert.rejects(manager.importFileAsModels('member', filename, {
+        stream: true,
+        streamBatchSize: 1,
+        validate: true,
+        strictValidation: true,
+    }), err => {
+        assert.deepStrictEqual(rules(err.errors), [[3, 'age', 'type']]);
+        return true;
+    });
+
+    assert.deepStrictEqual(Member.calls, []);
+});
@@ -0,0 +1,115 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const path = require('path');
+const fsx = require('fs-extra');
+const test = require('node:test');
+const assert = require('assert');
+const DropFolderWatcher = require('../lib/watcher');
+const { tmpdir } = require('./helpers');
+
+const OLD = new Date('2026-01-01T00:00:00Z');
+
+/**
+ * Watcher for a temporary drop folder,
+ * recording emitted events. We call
+ * `scan` ourselves instead of `start`.
+ */
+function setup(t, options = {}) {
+    const dirname = tmpdir(t);
+
+    const watcher = new DropFolderWatcher(Object.assign({
+        origin: 'ftp',
+        path: dirname,
+        stabilityThreshold: 0,
+        historyPath: path.join(dirname, 'history'),
+        entities: { user: ['users-*.csv', 'history/**'], post: 'posts/' },
+    }, options));
+
+    const events = [];
+    watcher.on('file', event => events.push(event));
+
+    const write = (name, content, mtime) => {
+        const filepath = path.join(dirname, name);
+        fsx.outputFileSync(filepath, content);
+        if (mtime) fsx.utimesSync(filepath, mtime, mtime);
+        return filepath;
+    };
+
+    return { dirname, watcher, events, write };
+}
+
+test('files are dispatched once two scans see the same size and time', async t => {
+    const { watcher, events, write } = setup(t);
+
+    const filepath = write('users-1.csv', 'email\n', OLD);
+
+    await watcher.scan();
+    assert.deepStrictEqual(events, []);
+
+    await watcher.scan();
+    assert.strictEqual(events.length, 1);
+    assert.deepStrictEqual([events[0].entity, events[0].action, events[0].filepath], ['user', 'add', filepath]);
+
+    await watcher.scan();
+    assert.strictEqual(events.length, 1);
+});
+
+test('files copied in slowly are not dispatched while they grow', async t => {
+    const { watcher, events, write } = setup(t);
+
+    write('users-1.csv', 'email\n', OLD);
+    await watcher.scan();
+
+    write('users-1.csv', 'email\na@x.com\n', OLD);
+    await watcher.scan();
+    assert.deepStrictEqual(events, []);
+
+    await watcher.scan();
+    assert.strictEqual(events.length, 1);
+});
+
+test('files are dispatched once they stop changing for stabilityThreshold', async t => {
+    const { watcher, events, write } = setup(t, { stabilityThreshold: 100 });
+
+    write('posts/1.csv', 'title\n');
+
+    await watcher.scan();
+    await watcher.scan();
+    assert.deepStrictEqual(events, []);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    await watcher.scan();
+    assert.deepStrictEqual(events.map(event => event.entity), ['post']);
+});
+
+test('changed files are dispatched again', async t => {
+    const { watcher, events, write } = setup(t);
+
+    write('users-1.csv', 'email\n', OLD);
+    await watcher.scan();
+    await watcher.scan();
+
+    write('users-1.csv', 'email\na@x.com\n', new Date('2026-01-02T00:00:00Z'));
+    await watcher.scan();
+    await watcher.scan();
+
+    assert.deepStrictEqual(events.map(event => event.action), ['add', 'change']);
+});
+
+test('ignored, unmatched and archived files are not dispatched', async t => {
+    const { watcher, events, write } = setup(t);
+
+    write('.users-1.csv', 'email\n', OLD);
+    write('users-2.csv.part', 'email\n', OLD);
+    write('orders-1.csv', 'id\n', OLD);
+    write('history/users-3.csv', 'email\n', OLD);
+
+    await watcher.scan();
+    await watcher.scan();
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(watcher.entityFor('users-1.csv'), 'user');
+    assert.strictEqual(watcher.entityFor('users-1.csv.tmp'), undefined);
+});
@@ -0,0 +1,95 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { Watermark } = require('../lib/watermark');
+const { createModel, setupManager } = require('./helpers');
+
+const POST = {
+    id: { type: 'number', primaryKey: true },
+    title: { type: 'string' },
+    updatedAt: { type: 'string' },
+};
+
+const T1 = '2026-01-01T00:00:00.000Z';
+const T2 = '2026-01-02T00:00:00.000Z';
+
+function setup(t, rows) {
+    const Post = createModel('post', POST, rows);
+    const manager = setupManager(t, { post: Post });
+    return { Post, manager };
+}
+
+const ids = output => JSON.parse(output).map(record => record.id);
+
+test('incremental exports only include records changed since the last export', async t => {
+    const { Post, manager } = setup(t, [{ id: 1, updatedAt: T1 }]);
+    const options = { incremental: true, destination: 'api' };
+
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), [1]);
+    assert.strictEqual(await manager.getWatermark('post', 'api'), T1);
+
+    Post.rows.push({ id: 2, updatedAt: T2 });
+
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), [2]);
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), []);
+    assert.strictEqual(await manager.getWatermark('post', 'api'), T2);
+
+    await manager.resetWatermark('post', 'api');
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), [1, 2]);
+});
+
+test('incremental exports include records sharing the watermark value', async t => {
+    const { Post, manager } = setup(t, [{ id: 1, updatedAt: T1 }]);
+    const options = { incremental: true, destination: 'api' };
+
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), [1]);
+
+    Post.rows.push({ id: 2, updatedAt: T1 });
+
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), [2]);
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), []);
+
+    Post.rows.push({ id: 3, updatedAt: T1 });
+
+    assert.deepStrictEqual(ids(await manager.exportModels('post', {}, 'json', options)), [3]);
+});
+
+test('stream exports skip records seen at the watermark value', async t => {
+    const { Post, manager } = setup(t, [{ id: 1, updatedAt: T1 }, { id: 2, updatedAt: T1 }]);
+    const options = { incremental: true, destination: 'api', pageSize: 1 };
+
+    /*
+     * Stream exports save the watermark
+     * once the stream ends.
+     */
+    const store = manager.watermarkStore;
+    const set = store.set.bind(store);
+
+    const read = async _ => {
+        const saved = new Promise(resolve => {
+            store.set = (key, value) => set(key, value).then(resolve);
+        });
+
+        let data = '';
+        const output = await manager.exportModelsStream('post', {}, 'ndjson', options);
+        for await (const chunk of output) data += chunk;
+        await saved;
+
+        return data.split('\n').filter(Boolean).map(line => JSON.parse(line).id);
+    };
+
+    assert.deepStrictEqual(await read(), [1, 2]);
+
+    Post.rows.push({ id: 3, updatedAt: T1 });
+
+    assert.deepStrictEqual(await read(), [3]);
+});
+
+test('plain stored values are exclusive watermarks', async t => {
+    const watermark = await new Watermark({ get: _ => Promise.resolve(T1) }, 'post', 'api').load();
+
+    assert.deepStrictEqual(watermark.apply({}).criteria, { updatedAt: { '>': T1 } });
+    assert.ok(watermark.accepts({ id: 1, updatedAt: T1 }));
+});
@@ -0,0 +1,85 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('assert');
+const ExcelJS = require('exceljs');
+const { createModel, setupManager } = require('./helpers');
+
+const MEMBER = {
+    id: { type: 'number', primaryKey: true },
+    email: { type: 'string', unique: true },
+    age: { type: 'number' },
+    joined: { type: 'date' },
+};
+
+const JOINED = new Date('2026-01-02T00:00:00Z');
+
+/**
+ * Write a workbook with a `Summary` sheet and
+ * a `Members` sheet starting with a title row.
+ */
+async function writeWorkbook(filename) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Summary').addRow(['Members export']);
+
+    const sheet = workbook.addWorksheet('Members');
+    sheet.addRow(['Members export']);
+    sheet.addRow(['email', 'age', 'joined']);
+    sheet.addRow(['a@x.com', 30, JOINED]);
+    sheet.addRow(['b@x.com', 31]);
+
+    await workbook.xlsx.writeFile(filename);
+    return filename;
+}
+
+test('xlsx imports pick the sheet and detect the header row', async t => {
+    const manager = setupManager(t, {});
+    const filename = await writeWorkbook(path.join(manager.tmpdir, 'members.xlsx'));
+
+    /*
+     * `importFile` returns records in reverse order.
+     */
+    const expected = [
+        { email: 'b@x.com', age: 31 },
+        { email: 'a@x.com', age: 30, joined: JOINED },
+    ];
+
+    assert.deepStrictEqual(await manager.importFile(filename, { sheet: 'Members' }), expected);
+    assert.deepStrictEqual(await manager.importFile(filename, { sheet: 1 }), expected);
+    assert.deepStrictEqual(await manager.importFile(filename, { sheet: 1, headerRow: 3 }), [
+        { 'a@x.com': 'b@x.com', 30: 31 },
+    ]);
+    await assert.rejects(manager.importFile(filename, { sheet: 'Nope' }), /Sheet not found: Nope/);
+});
+
+test('xlsx exports import back with native types', async t => {
+    const Member = createModel('member', MEMBER, [{ id: 1, email: 'a@x.com', age: 30, joined: JOINED }]);
+    const manager = setupManager(t, { member: Member });
+
+    const filename = await manager.exportModelsToFile('member', {}, 'xlsx', {
+        filename: path.join(manager.tmpdir, 'members.xlsx'),
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filename);
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['member']);
+
+    assert.deepStrictEqual(await manager.importFile(filename), Member.rows);
+});
+
+test('xlsx exports write one sheet per entity', async t => {
+    const manager = setupManager(t, {});
+
+    const buffer = await manager.export('xlsx', {
+        users: [{ email: 'a@x.com' }],
+        organizations: [{ slug: 'acme', name: 'Acme' }],
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['users', 'organizations']);
+    assert.deepStrictEqual(await manager.import('xlsx', buffer, { sheet: 'organizations' }), [{ slug: 'acme', name: 'Acme' }]);
+});
@@ -0,0 +1,75 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const encoding = require('../lib/encoding');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+test('XML exports declare the output encoding', async t => {
+    const User = createModel('user', USER, [{ id: 1, email: 'a@x.com', name: 'Zoë' }]);
+    const manager = setupManager(t, { user: User });
+
+    let output = await manager.exportModels('user', {}, 'xml');
+    assert.ok(output.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n'));
+
+    const filename = await manager.exportModelsToFile('user', {}, 'xml', {
+        filename: `${manager.tmpdir}/users.xml`,
+        encoding: 'utf16le',
+        bom: true,
+    });
+
+    output = encoding.decode(fs.readFileSync(filename));
+    assert.ok(output.startsWith('<?xml version="1.0" encoding="UTF-16LE"?>\n'));
+    assert.ok(output.includes('<name>Zoë</name>'));
+});
+
+const CATALOG = `<?xml version="1.0"?>
+<catalog>
+    <products>
+        <product sku="1"><name>Chair</name><price>10</price></product>
+        <product sku="2"><name>Desk</name><price>25.5</price></product>
+    </products>
+</catalog>
+`;
+
+test('XML imports read records from the element path', async t => {
+    const manager = setupManager(t, {});
+    const filename = writeFile(manager, 'catalog.xml', CATALOG);
+
+    /*
+     * `importFile` returns records in reverse order.
+     */
+    const expected = [
+        { sku: '2', name: 'Desk', price: '25.5' },
+        { sku: '1', name: 'Chair', price: '10' },
+    ];
+
+    assert.deepStrictEqual(await manager.importFile(filename), expected);
+    assert.deepStrictEqual(await manager.importFile(filename, { path: 'catalog.products.product' }), expected);
+    assert.deepStrictEqual(await manager.importFile(filename, { path: 'catalog.products.product', parseValues: true }), [
+        { sku: 2, name: 'Desk', price: 25.5 },
+        { sku: 1, name: 'Chair', price: 10 },
+    ]);
+});
+
+test('XML imports with a single matching element return a list', async t => {
+    const manager = setupManager(t, {});
+    const filename = writeFile(manager, 'users.xml', '<records><user><email>a@x.com</email></user></records>');
+
+    assert.deepStrictEqual(await manager.importFile(filename, { path: 'records.user' }), [{ email: 'a@x.com' }]);
+});
+
+test('XML exports import back using the same path', async t => {
+    const User = createModel('user', USER, [
+        { id: 1, email: 'a@x.com', name: 'Ann' },
+        { id: 2, email: 'b@x.com', name: 'Bob' },
+    ]);
+    const manager = setupManager(t, { user: User });
+
+    const output = await manager.exportModels('user', {}, 'xml');
+    const records = await manager.import('xml', output, { path: 'records.user', parseValues: true });
+
+    assert.deepStrictEqual(records.reverse(), User.rows);
+});
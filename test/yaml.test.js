@@ -0,0 +1,40 @@
+/*jshint esversion:8, node:true*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { USER, createModel, setupManager, writeFile } = require('./helpers');
+
+const YAML = `
+- email: a@x.com
+  name: Ann
+---
+- email: b@x.com
+  name: Bob
+`;
+
+test('yaml files are imported by extension and documents merged', async t => {
+    const User = createModel('user', USER);
+    const manager = setupManager(t, { user: User });
+
+    await manager.importFileAsModels('user', writeFile(manager, 'users.yml', YAML));
+
+    assert.deepStrictEqual(User.rows.map(row => row.email).sort(), ['a@x.com', 'b@x.com']);
+});
+
+test('yaml imports read records under key', async t => {
+    const manager = setupManager(t, {});
+
+    const filename = writeFile(manager, 'seed.yaml', 'users:\n  - email: a@x.com\n');
+
+    assert.deepStrictEqual(await manager.importFile(filename, { key: 'users' }), [{ email: 'a@x.com' }]);
+});
+
+test('yaml exports import back', async t => {
+    const User = createModel('user', USER, [{ id: 1, email: 'a@x.com', name: 'Ann' }]);
+    const manager = setupManager(t, { user: User });
+
+    const output = await manager.exportModels('user', {}, 'yaml', { key: 'users' });
+
+    assert.deepStrictEqual(await manager.import('yaml', output, { key: 'users' }), User.rows);
+});